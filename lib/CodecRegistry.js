@@ -0,0 +1,152 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const zlib = require( 'zlib' ) ;
+const Promise = require( 'seventh' ) ;
+
+
+
+/*
+	Compression codecs, a codec is identified on the wire by a one-byte ID.
+
+	A codec is an object:
+		id: 0-255, 0-63 are reserved for built-in codecs
+		name: the name used in options
+		compress( buffer , dictionary ): return the compressed buffer
+		decompress( buffer , dictionary , maxOutputLength ): return the decompressed buffer, should throw if it is bigger than maxOutputLength
+		compressAsync( buffer , dictionary ): optional, return a Promise of the compressed buffer, used for big payloads
+		dictionary: if true, the codec can only be used for commands having a pre-shared dictionary
+
+	The deflate codec (ID 0) is the legacy one, messages compressed with it don't carry the codec ID.
+
+	Params:
+		threshold: in auto mode, payloads smaller than this are never compressed
+*/
+function CodecRegistry( params = {} ) {
+	this.byId = new Map() ;
+	this.byName = new Map() ;
+	this.dictionaries = new Map() ;	// command => Buffer
+	this.threshold = params.threshold !== undefined ? + params.threshold || 0 : 256 ;
+
+	for ( let codec of BUILTIN_CODECS ) { this.add( codec ) ; }
+}
+
+module.exports = CodecRegistry ;
+
+
+
+CodecRegistry.prototype.add = function( codec ) {
+	if ( ! Number.isInteger( codec.id ) || codec.id < 0 || codec.id > 255 || typeof codec.name !== 'string' ) {
+		throw new Error( "CodecRegistry#add(): a codec must have an integer id (0-255) and a name" ) ;
+	}
+
+	if ( typeof codec.compress !== 'function' || typeof codec.decompress !== 'function' ) {
+		throw new Error( "CodecRegistry#add(): codec '" + codec.name + "' must have a .compress() and a .decompress() method" ) ;
+	}
+
+	var existing = this.byId.get( codec.id ) ;
+	if ( existing ) { this.byName.delete( existing.name ) ; }
+
+	this.byId.set( codec.id , codec ) ;
+	this.byName.set( codec.name , codec ) ;
+	return this ;
+} ;
+
+
+
+// Get a codec by ID or by name
+CodecRegistry.prototype.get = function( idOrName ) {
+	return typeof idOrName === 'number' ? this.byId.get( idOrName ) : this.byName.get( idOrName ) ;
+} ;
+
+
+
+// Dictionaries are pre-shared: both sides must set the same dictionary for the same command
+CodecRegistry.prototype.setDictionary = function( command , dictionary ) {
+	if ( ! dictionary ) {
+		this.dictionaries.delete( command ) ;
+		return ;
+	}
+
+	this.dictionaries.set( command , typeof dictionary === 'string' ? Buffer.from( dictionary ) : dictionary ) ;
+} ;
+
+
+
+CodecRegistry.prototype.getDictionary = function( command ) {
+	return this.dictionaries.get( command ) || null ;
+} ;
+
+
+
+function zlibAsync( method , buffer , options ) {
+	var promise = new Promise() ;
+	zlib[ method ]( buffer , options , ( error , output ) => error ? promise.reject( error ) : promise.resolve( output ) ) ;
+	return promise ;
+}
+
+
+
+const BUILTIN_CODECS = [
+	{
+		id: 0 ,
+		name: 'deflate' ,
+		compress: buffer => zlib.deflateRawSync( buffer ) ,
+		decompress: ( buffer , dictionary , maxOutputLength ) => zlib.inflateRawSync( buffer , { maxOutputLength } ) ,
+		compressAsync: buffer => zlibAsync( 'deflateRaw' , buffer , {} )
+	} ,
+	{
+		// Default brotli quality (11) is way too slow for real-time, 5 is still better than deflate
+		id: 1 ,
+		name: 'brotli' ,
+		compress: buffer => zlib.brotliCompressSync( buffer , brotliOptions( buffer ) ) ,
+		decompress: ( buffer , dictionary , maxOutputLength ) => zlib.brotliDecompressSync( buffer , { maxOutputLength } ) ,
+		compressAsync: buffer => zlibAsync( 'brotliCompress' , buffer , brotliOptions( buffer ) )
+	} ,
+	{
+		// Deflate with a pre-shared dictionary, best for small payloads that repeat the same keys and strings
+		id: 2 ,
+		name: 'dictionary' ,
+		dictionary: true ,
+		compress: ( buffer , dictionary ) => zlib.deflateRawSync( buffer , { dictionary } ) ,
+		decompress: ( buffer , dictionary , maxOutputLength ) => zlib.inflateRawSync( buffer , { dictionary , maxOutputLength } ) ,
+		compressAsync: ( buffer , dictionary ) => zlibAsync( 'deflateRaw' , buffer , { dictionary } )
+	}
+] ;
+
+function brotliOptions( buffer ) {
+	return {
+		params: {
+			[ zlib.constants.BROTLI_PARAM_QUALITY ]: 5 ,
+			[ zlib.constants.BROTLI_PARAM_SIZE_HINT ]: buffer.length
+		}
+	} ;
+}
+
@@ -0,0 +1,122 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+
+"use strict" ;
+
+
+
+const TokenBucket = require( './TokenBucket.js' ) ;
+
+
+
+/*
+	Rate-based AIMD congestion control for one peer.
+	The send rate (bytes per second) increases a bit for each ack, unless the RTT grows (packets are queued somewhere),
+	and is halved on loss (ack timeout or nack), at most once per RTT.
+
+	params:
+		initialRate: the starting rate, default to 128KB/s
+		minRate: the rate never goes below, default to 8KB/s
+		maxRate: the rate never goes above, default to unlimited
+		increase: how much the rate increases for each ack, default to 4KB/s
+*/
+function CongestionController( params = null ) {
+	this.minRate = + params?.minRate || 8192 ;
+	this.maxRate = + params?.maxRate || Infinity ;
+	this.rate = Math.max( this.minRate , Math.min( this.maxRate , + params?.initialRate || 131072 ) ) ;
+	this.increase = + params?.increase || 4096 ;
+
+	this.minRtt = Infinity ;	// the RTT without queuing delay
+	this.lastRtt = null ;
+	this.lastDecrease = 0 ;
+
+	this.bucket = new TokenBucket( this.rate , this.getBurst() ) ;
+}
+
+module.exports = CongestionController ;
+
+
+
+const MIN_BURST = 8192 ;
+const BURST_TIME = 50 ;	// the burst is the amount of bytes sent in that time (ms) at the current rate
+const DELAY_FACTOR = 2 ;	// RTT above minRtt * DELAY_FACTOR means that packets are queued
+const DELAY_MARGIN = 10 ;	// ms, avoid false positive on LAN where the RTT is almost 0
+
+
+
+CongestionController.prototype.getBurst = function() {
+	return Math.max( MIN_BURST , this.rate * BURST_TIME / 1000 ) ;
+} ;
+
+
+
+// rtt is null if it couldn't be measured (the packet was sent again)
+CongestionController.prototype.onAck = function( rtt = null ) {
+	if ( rtt !== null ) {
+		this.lastRtt = rtt ;
+		if ( rtt < this.minRtt ) { this.minRtt = rtt ; }
+
+		// Queuing delay: don't increase
+		if ( rtt > this.minRtt * DELAY_FACTOR + DELAY_MARGIN ) { return ; }
+	}
+
+	if ( this.rate >= this.maxRate ) { return ; }
+	this.setRate( this.rate + this.increase ) ;
+} ;
+
+
+
+CongestionController.prototype.onLoss = function() {
+	var now = Date.now() ;
+
+	// Losses of the same round-trip are the same congestion event
+	if ( now - this.lastDecrease < ( this.lastRtt ?? 100 ) ) { return ; }
+
+	this.lastDecrease = now ;
+	this.setRate( this.rate / 2 ) ;
+} ;
+
+
+
+CongestionController.prototype.setRate = function( rate ) {
+	this.rate = Math.max( this.minRate , Math.min( this.maxRate , rate ) ) ;
+	this.bucket.setRate( this.rate , this.getBurst() ) ;
+} ;
+
+
+
+// Return how long to wait (ms) before sending a packet of that size, 0 if it can be sent now
+CongestionController.prototype.getWaitTime = function( size ) {
+	return this.bucket.getWaitTime( size ) ;
+} ;
+
+
+
+CongestionController.prototype.take = function( size ) {
+	this.bucket.take( size ) ;
+} ;
+
@@ -0,0 +1,214 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const common = require( './common.js' ) ;
+
+const crypto = require( 'crypto' ) ;
+const Readable = require( 'stream' ).Readable ;
+
+const Logfella = require( 'logfella' ) ;
+const log = Logfella.global.use( 'UniProtocol' ) ;
+
+
+
+/*
+	The receiving side of a stream ('t'), a Node Readable emitted by the 'stream' event.
+	Chunks are pushed in order, out of order chunks are held (at most "window" chunks),
+	and the sender is told how many chunks were consumed ('wind'), so it can send more.
+*/
+function IncomingStream( uni , sender , id , meta , window ) {
+	Readable.call( this ) ;
+
+	this.uni = uni ;
+	this.sender = { address: sender.address , port: sender.port , family: sender.family } ;
+	this.id = id ;
+	this.key = common.getAddressId( sender ) + '/' + id ;
+	this.meta = meta ;
+	this.window = window ;
+	this.next = 0 ;	// index of the next chunk to push
+	this.chunks = new Map() ;	// received but not yet pushed, index => buffer
+	this.reading = false ;	// true if the consumer wants more data
+	this.hash = crypto.createHash( 'sha256' ) ;
+	this.size = 0 ;
+	this.end = null ;	// once received: { chunks , size , checksum }
+	this.finished = false ;
+	this.timeoutTimer = null ;
+	this.timeoutIdle = false ;	// true if the timer is waiting for the consumer, false if it is waiting for the sender
+
+	this.resetTimeout() ;
+}
+
+IncomingStream.prototype = Object.create( Readable.prototype ) ;
+IncomingStream.prototype.constructor = IncomingStream ;
+
+module.exports = IncomingStream ;
+
+
+
+IncomingStream.prototype._read = function() {
+	this.reading = true ;
+	this.flush() ;
+} ;
+
+
+
+IncomingStream.prototype._destroy = function( error , callback ) {
+	if ( this.timeoutTimer ) { clearTimeout( this.timeoutTimer ) ; this.timeoutTimer = null ; }
+	this.chunks.clear() ;
+	this.uni.incomingStreams.delete( this.key ) ;
+
+	if ( ! this.finished ) {
+		// Cancelled by the consumer or failed on our side, tell the sender
+		this.finished = true ;
+		this.sendControl( 'abrt' , { stream: this.id , reason: error?.code || 'cancelled' } ) ;
+	}
+
+	callback( error ) ;
+} ;
+
+
+
+// Internal
+IncomingStream.prototype.sendControl = function( command , data ) {
+	this.uni.sendStreamControl( this.sender , command , data ).catch( error => {
+		log.debug( "Can't send stream %s '%s' to [%s]:%i: %E" , this.key , command , this.sender.address , this.sender.port , error ) ;
+	} ) ;
+} ;
+
+
+
+// Return false if the chunk is outside of the window
+IncomingStream.prototype.receiveChunk = function( index , buffer ) {
+	if ( this.finished ) { return true ; }
+
+	// Already received, it was sent again
+	if ( index < this.next || this.chunks.has( index ) ) { return true ; }
+	if ( index >= this.next + this.window ) { return false ; }
+
+	this.chunks.set( index , buffer ) ;
+	this.flush() ;
+	return true ;
+} ;
+
+
+
+IncomingStream.prototype.receiveEnd = function( end ) {
+	if ( this.finished || this.end ) { return ; }
+	this.end = end ;
+	this.flush() ;
+} ;
+
+
+
+// The sender has aborted
+IncomingStream.prototype.receiveAbort = function( reason ) {
+	if ( this.finished ) { return ; }
+	this.finished = true ;
+
+	var error = new Error( "Stream aborted by the sender (" + reason + ")" ) ;
+	error.code = 'aborted' ;
+	error.reason = reason ;
+	this.destroy( error ) ;
+} ;
+
+
+
+// Internal, push all chunks that are in order, as long as the consumer wants them
+IncomingStream.prototype.flush = function() {
+	var pushed = false ;
+
+	while ( this.reading && this.chunks.has( this.next ) ) {
+		let buffer = this.chunks.get( this.next ) ;
+		this.chunks.delete( this.next ) ;
+		this.next ++ ;
+		this.hash.update( buffer ) ;
+		this.size += buffer.length ;
+		pushed = true ;
+
+		if ( ! this.push( buffer ) ) { this.reading = false ; }
+	}
+
+	if ( this.end && this.next >= this.end.chunks ) {
+		this.finish() ;
+		return ;
+	}
+
+	if ( pushed ) { this.sendControl( 'wind' , { stream: this.id , next: this.next } ) ; }
+	this.resetTimeout() ;
+} ;
+
+
+
+/*
+	Internal, if the consumer is waiting for us, wait for the sender, else wait for the consumer (a slow one is not a timeout,
+	but one that never reads would hold its slot forever). Only a read restarts the idle timeout, not the sender's chunks.
+*/
+IncomingStream.prototype.resetTimeout = function() {
+	var idle = ! this.reading ;
+	if ( this.timeoutTimer && idle && this.timeoutIdle ) { return ; }
+
+	if ( this.timeoutTimer ) { clearTimeout( this.timeoutTimer ) ; }
+	this.timeoutIdle = idle ;
+
+	this.timeoutTimer = setTimeout( () => {
+		this.timeoutTimer = null ;
+
+		if ( idle && ! this.listenerCount( 'error' ) ) {
+			// A consumer that never reads may not listen for errors either, don't crash it
+			this.finished = true ;
+			this.sendControl( 'abrt' , { stream: this.id , reason: 'timeout' } ) ;
+			this.destroy() ;
+			return ;
+		}
+
+		this.destroy( new common.TimeoutError( idle ? "Stream timeout (not read by the consumer)" : "Stream timeout" ) ) ;
+	} , idle ? this.uni.streamIdleTimeout : this.uni.streamTimeout ) ;
+} ;
+
+
+
+// Internal, all chunks were pushed, check the whole transfer
+IncomingStream.prototype.finish = function() {
+	if ( this.timeoutTimer ) { clearTimeout( this.timeoutTimer ) ; this.timeoutTimer = null ; }
+
+	var checksum = this.hash.digest( 'hex' ) ;
+
+	if ( checksum !== this.end.checksum || this.size !== this.end.size ) {
+		let error = new Error( "Stream checksum mismatch" ) ;
+		error.code = 'checksum' ;
+		this.destroy( error ) ;
+		return ;
+	}
+
+	this.finished = true ;
+	this.uni.incomingStreams.delete( this.key ) ;
+	this.sendControl( 'done' , { stream: this.id } ) ;
+	this.push( null ) ;
+} ;
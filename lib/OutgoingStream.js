@@ -0,0 +1,251 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const common = require( './common.js' ) ;
+
+const crypto = require( 'crypto' ) ;
+const Promise = require( 'seventh' ) ;
+
+const Logfella = require( 'logfella' ) ;
+const log = Logfella.global.use( 'UniProtocol' ) ;
+
+
+
+/*
+	The sending side of a stream ('t'), see UniProtocol#sendStream().
+	The readable is cut into chunks, each chunk is a message with ack, so it is fragmented and nacked like any other message.
+	No more than "window" chunks are sent ahead of what the receiver has consumed.
+*/
+function OutgoingStream( uni , to , readable , meta ) {
+	this.uni = uni ;
+	this.to = to ;
+	this.id = common.getPseudoRandomUInt32() ;
+	this.key = common.getAddressId( to ) + '/' + this.id ;
+	this.readable = readable ;
+	this.meta = meta ;
+	this.chunkSize = uni.streamChunkSize ;
+	this.window = uni.streamWindow ;
+	this.index = 0 ;	// index of the next chunk to send
+	this.credit = 0 ;	// how many chunks the receiver has consumed
+	this.inFlight = new Set() ;	// promises of chunks not yet acked
+	this.hash = crypto.createHash( 'sha256' ) ;
+	this.size = 0 ;
+	this.lastProgress = Date.now() ;
+	this.progressPromise = null ;
+	this.donePromise = new Promise() ;
+	this.error = null ;
+	this.remoteAborted = false ;
+
+	// Avoid unhandled rejection, errors are thrown by .send()
+	this.donePromise.catch( () => undefined ) ;
+}
+
+module.exports = OutgoingStream ;
+
+
+
+// Resolve once the receiver has checked the whole transfer, to { chunks , size , checksum }
+OutgoingStream.prototype.send = async function() {
+	try {
+		return await this.run() ;
+	}
+	catch ( error ) {
+		this.fail( error ) ;
+
+		if ( ! this.remoteAborted && ! ( error instanceof common.ClosedError ) ) {
+			this.uni.sendStreamControl( this.to , 'abrt' , { stream: this.id , reason: error.code || 'error' } ).catch( () => undefined ) ;
+		}
+
+		if ( ! this.readable.destroyed ) { this.readable.destroy() ; }
+		throw error ;
+	}
+} ;
+
+
+
+// Internal
+OutgoingStream.prototype.run = async function() {
+	var pending = [] ,
+		pendingSize = 0 ;
+
+	await this.uni.sendStreamControl( this.to , 'open' , { stream: this.id , meta: this.meta , window: this.window } ) ;
+
+	for await ( let data of this.readable ) {
+		if ( this.error ) { throw this.error ; }
+		if ( typeof data === 'string' ) { data = Buffer.from( data ) ; }
+
+		pending.push( data ) ;
+		pendingSize += data.length ;
+
+		while ( pendingSize >= this.chunkSize ) {
+			let buffer = pending.length === 1 ? pending[ 0 ] : Buffer.concat( pending ) ;
+			await this.sendChunk( buffer.subarray( 0 , this.chunkSize ) ) ;
+			pending = [ buffer.subarray( this.chunkSize ) ] ;
+			pendingSize = pending[ 0 ].length ;
+		}
+	}
+
+	if ( pendingSize ) { await this.sendChunk( Buffer.concat( pending ) ) ; }
+
+	while ( this.inFlight.size ) { await this.waitForProgress() ; }
+
+	var checksum = this.hash.digest( 'hex' ) ;
+	await this.uni.sendStreamControl( this.to , 'fini' , {
+		stream: this.id , chunks: this.index , size: this.size , checksum
+	} ) ;
+
+	// The receiver answers once it has pushed everything and checked the checksum
+	var timer = setTimeout( () => this.fail( new common.TimeoutError( "Stream timeout" ) ) , this.uni.streamTimeout ) ;
+	this.donePromise.finally( () => clearTimeout( timer ) ) ;
+	await this.donePromise ;
+
+	return { chunks: this.index , size: this.size , checksum } ;
+} ;
+
+
+
+// Internal, wait for the window, then send the chunk without waiting for its ack
+OutgoingStream.prototype.sendChunk = async function( buffer ) {
+	this.hash.update( buffer ) ;
+	this.size += buffer.length ;
+
+	while ( this.index >= this.credit + this.window ) { await this.waitForProgress() ; }
+
+	var promise = this.sendChunkWithResume( this.index ++ , buffer ).then(
+		() => {
+			this.inFlight.delete( promise ) ;
+			this.progress() ;
+		} ,
+		error => {
+			this.inFlight.delete( promise ) ;
+			this.fail( error ) ;
+		}
+	) ;
+
+	this.inFlight.add( promise ) ;
+} ;
+
+
+
+// Internal, if the chunk is lost despite all retries, it is sent again as a new message (resume), a few times before giving up
+OutgoingStream.prototype.sendChunkWithResume = async function( index , buffer ) {
+	var header = Buffer.allocUnsafe( 8 ) ;
+	header.writeUInt32BE( this.id , 0 ) ;
+	header.writeUInt32BE( index , 4 ) ;
+
+	var dataBuffer = Buffer.concat( [ header , buffer ] ) ;
+
+	for ( let resume = 0 ; ; resume ++ ) {
+		// A new ID each time, so a partial reassembly of the previous attempt is not mixed with this one
+		let message = this.uni.createMessageWithAck( 't' , 'data' , common.getPseudoRandomUInt32() ) ;
+		message.setDataBuffer( dataBuffer ) ;
+
+		try {
+			await this.uni.sendMessage( this.to , message , this.uni.streamRetries ) ;
+			return ;
+		}
+		catch ( error ) {
+			if ( this.error || error instanceof common.ClosedError || resume >= this.uni.streamResumes ) { throw error ; }
+			log.debug( "Stream %s chunk #%i lost, resuming: %E" , this.key , index , error ) ;
+		}
+	}
+} ;
+
+
+
+// Internal, resolve on any progress (chunk acked, window moved, error), throw if the stream failed or stalled
+OutgoingStream.prototype.waitForProgress = async function() {
+	if ( this.error ) { throw this.error ; }
+	if ( ! this.progressPromise ) { this.progressPromise = new Promise() ; }
+
+	var timeLeft = this.lastProgress + this.uni.streamTimeout - Date.now() ,
+		timer = setTimeout( () => this.fail( new common.TimeoutError( "Stream timeout" ) ) , Math.max( 0 , timeLeft ) ) ;
+
+	try {
+		await this.progressPromise ;
+	}
+	finally {
+		clearTimeout( timer ) ;
+	}
+
+	if ( this.error ) { throw this.error ; }
+} ;
+
+
+
+// Internal
+OutgoingStream.prototype.progress = function() {
+	this.lastProgress = Date.now() ;
+
+	if ( this.progressPromise ) {
+		let promise = this.progressPromise ;
+		this.progressPromise = null ;
+		promise.resolve() ;
+	}
+} ;
+
+
+
+// Internal
+OutgoingStream.prototype.fail = function( error ) {
+	if ( this.error ) { return ; }
+	this.error = error ;
+	this.donePromise.reject( error ) ;
+
+	if ( this.progressPromise ) {
+		let promise = this.progressPromise ;
+		this.progressPromise = null ;
+		promise.resolve() ;
+	}
+} ;
+
+
+
+OutgoingStream.prototype.receiveWindow = function( next ) {
+	if ( next <= this.credit ) { return ; }
+	this.credit = Math.min( next , this.index ) ;
+	this.progress() ;
+} ;
+
+
+
+OutgoingStream.prototype.receiveDone = function() {
+	this.donePromise.resolve() ;
+} ;
+
+
+
+OutgoingStream.prototype.receiveAbort = function( reason ) {
+	var error = new Error( "Stream aborted by the receiver (" + reason + ")" ) ;
+	error.code = 'aborted' ;
+	error.reason = reason ;
+	this.remoteAborted = true ;
+	this.fail( error ) ;
+} ;
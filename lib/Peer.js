@@ -0,0 +1,196 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const common = require( './common.js' ) ;
+
+
+
+/*
+	A known remote endpoint, i.e. an endpoint we have received something from.
+*/
+function Peer( address ) {
+	this.address = { address: address.address , port: address.port , family: address.family } ;
+	this.id = common.getAddressId( address ) ;
+	this.lastSeen = Date.now() ;	// last time we received something from it
+	this.version = null ;	// protocol version of the last message received, 0: legacy peer
+	this.capabilities = null ;	// capability bitmap received with a hello (see UniProtocol.CAPABILITY), null: unknown
+	this.schemaFingerprint = null ;	// fingerprint of its ProtocolSchema, received with a hello
+	this.rtt = null ;	// last round-trip time measured (ack, response or keep-alive)
+	this.srtt = null ;	// smoothed round-trip time
+	this.rttvar = null ;	// round-trip time variation
+	this.rto = null ;	// retransmission timeout, null until there is a measure
+	this.pendingPings = new Map() ;	// keep-alive ID => time it was sent
+	this.recentIds = new Map() ;	// messages recently received, to drop duplicates, key (like Message#getAckId()) => time it was received
+	this.frames = new Map() ;	// received frames, command => { lastFrameId , history: Map of frame ID => buffer }
+	this.frameAcks = new Map() ;	// command => last frame ID acked by this peer
+	this.channelSequences = new Map() ;	// outgoing, channel => last sequence sent
+	this.channels = new Map() ;	// incoming, channel => receive state
+	this.congestion = null ;	// the CongestionController, created on the first send
+	this.pmtu = null ;	// path MTU found by probing, null: unknown, use the safe default
+	this.pmtuProbing = false ;
+	this.validated = false ;	// true once it proved it owns its address (see UniProtocol#validatePeer())
+	this.retryToken = null ;	// received from this peer, sent with queries so it answers them in full (anti-amplification)
+	this.subscribedChannels = 0 ;	// publisher-side, number of our channels it is subscribed to
+}
+
+module.exports = Peer ;
+
+
+
+Peer.prototype.touch = function() {
+	this.lastSeen = Date.now() ;
+} ;
+
+
+
+Peer.prototype.addPing = function( id , maxAge ) {
+	var now = Date.now() ;
+
+	// Forget pings that were never answered
+	for ( let [ pingId , time ] of this.pendingPings ) {
+		if ( now - time > maxAge ) { this.pendingPings.delete( pingId ) ; }
+	}
+
+	this.pendingPings.set( id , now ) ;
+} ;
+
+
+
+// Return true if this message was already received recently, else remember it
+Peer.prototype.isDuplicate = function( key , maxAge , maxSize ) {
+	var now = Date.now() ;
+
+	// Insertion order is also the time order
+	for ( let [ recentKey , time ] of this.recentIds ) {
+		if ( now - time <= maxAge && this.recentIds.size < maxSize ) { break ; }
+		this.recentIds.delete( recentKey ) ;
+	}
+
+	if ( this.recentIds.has( key ) ) { return true ; }
+
+	this.recentIds.set( key , now ) ;
+	return false ;
+} ;
+
+
+
+// Return the received frames' state of this command
+Peer.prototype.getFrames = function( command ) {
+	var frames = this.frames.get( command ) ;
+
+	if ( ! frames ) {
+		frames = { lastFrameId: 0 , history: new Map() } ;
+		this.frames.set( command , frames ) ;
+	}
+
+	return frames ;
+} ;
+
+
+
+// Return the next outgoing sequence of this channel, sequences start at 1
+Peer.prototype.nextSequence = function( channel ) {
+	var sequence = ( this.channelSequences.get( channel ) || 0 ) + 1 ;
+	this.channelSequences.set( channel , sequence ) ;
+	return sequence ;
+} ;
+
+
+
+// Return the incoming state of this channel
+Peer.prototype.getChannel = function( channel ) {
+	var state = this.channels.get( channel ) ;
+
+	if ( ! state ) {
+		state = {
+			expected: 1 ,	// reliable: all sequences below were received
+			highest: 0 ,	// highest sequence received
+			received: new Set() ,	// reliable-unordered: sequences received above the expected one
+			buffer: new Map() ,	// reliable-ordered: sequence => message received out of order
+			gapTimer: null ,
+			lastReceived: 0
+		} ;
+
+		this.channels.set( channel , state ) ;
+	}
+
+	return state ;
+} ;
+
+
+
+Peer.prototype.resetChannel = function( channel ) {
+	var state = this.channels.get( channel ) ;
+	if ( state?.gapTimer ) { clearTimeout( state.gapTimer ) ; }
+	this.channels.delete( channel ) ;
+} ;
+
+
+
+Peer.prototype.clearTimers = function() {
+	for ( let state of this.channels.values() ) {
+		if ( state.gapTimer ) { clearTimeout( state.gapTimer ) ; state.gapTimer = null ; }
+	}
+} ;
+
+
+
+// Return the round-trip time, or null if the ping is unknown
+Peer.prototype.resolvePing = function( id ) {
+	var time = this.pendingPings.get( id ) ;
+	if ( time === undefined ) { return null ; }
+
+	this.pendingPings.delete( id ) ;
+	this.addRttSample( Date.now() - time ) ;
+	return this.rtt ;
+} ;
+
+
+
+const RTT_ALPHA = 1 / 8 ;
+const RTT_BETA = 1 / 4 ;
+const CLOCK_GRANULARITY = 1 ;	// ms
+
+// Round-trip time estimation (RFC 6298), the caller should clamp the RTO
+Peer.prototype.addRttSample = function( rtt ) {
+	this.rtt = rtt ;
+
+	if ( this.srtt === null ) {
+		this.srtt = rtt ;
+		this.rttvar = rtt / 2 ;
+	}
+	else {
+		this.rttvar = ( 1 - RTT_BETA ) * this.rttvar + RTT_BETA * Math.abs( this.srtt - rtt ) ;
+		this.srtt = ( 1 - RTT_ALPHA ) * this.srtt + RTT_ALPHA * rtt ;
+	}
+
+	this.rto = this.srtt + Math.max( CLOCK_GRANULARITY , 4 * this.rttvar ) ;
+} ;
+
@@ -0,0 +1,312 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const crypto = require( 'crypto' ) ;
+
+
+
+/*
+	Declare each userland command once, and load the same schema on both sides.
+
+	new ProtocolSchema( {
+		serv: { types: 'QR' , response: serverListModel } ,
+		info: { types: 'QR' , response: { referenceStrings: true , initialStringReferences: [ ... ] } } ,
+		stat: { types: 'F' , request: gameStateModel } ,
+		helo: { types: 'H' , ack: true }
+	} , { strict: true } )
+
+	Definition of a command:
+		types: the message types allowed for this command, a string or an array of uppercase letters (default: 'C')
+		request: binaryDataParams (or just a DataModel) for the data of any type but 'R'
+		response: binaryDataParams (or just a DataModel) for the data of 'R'
+		compressed: default compression of messages of this command, true, false or 'auto' (compress big payloads only)
+		codec: default compression codec of messages of this command (see CodecRegistry)
+		dictionary: a pre-shared dictionary (Buffer or string) for the 'dictionary' codec, which becomes the default codec
+		ack: if true, messages of this command always ask for an ack
+	Options:
+		strict: if true, undeclared commands can't be sent, and are rejected when received
+*/
+function ProtocolSchema( commands = {} , options = null ) {
+	this.commands = new Map() ;	// command => definition
+	this.strict = !! options?.strict ;
+	this.fingerprint = null ;	// computed on demand
+
+	for ( let command of Object.keys( commands ) ) {
+		this.declare( command , commands[ command ] ) ;
+	}
+}
+
+module.exports = ProtocolSchema ;
+
+
+
+const USERLAND_TYPES = new Set( [ 'C' , 'Q' , 'R' , 'E' , 'K' , 'H' , 'F' ] ) ;
+
+
+
+ProtocolSchema.prototype.declare = function( command , definition = {} ) {
+	if ( typeof command !== 'string' || command.length !== 4 ) {
+		throw new Error( "ProtocolSchema#declare(): command must be a string of length 4" ) ;
+	}
+
+	var types = new Set( definition.types || 'C' ) ;
+
+	for ( let type of types ) {
+		if ( ! USERLAND_TYPES.has( type ) ) {
+			throw new Error( "ProtocolSchema#declare(): bad type '" + type + "' for command '" + command + "'" ) ;
+		}
+	}
+
+	this.commands.set( command , {
+		command ,
+		types ,
+		request: toBinaryDataParams( definition.request ) ,
+		response: toBinaryDataParams( definition.response ) ,
+		compressed: definition.compressed === undefined ? null : definition.compressed === 'auto' ? 'auto' : !! definition.compressed ,
+		codec: definition.codec || ( definition.dictionary ? 'dictionary' : null ) ,
+		dictionary: typeof definition.dictionary === 'string' ? Buffer.from( definition.dictionary ) : definition.dictionary || null ,
+		ack: !! definition.ack
+	} ) ;
+
+	this.fingerprint = null ;
+	return this ;
+} ;
+
+
+
+ProtocolSchema.prototype.get = function( command ) {
+	return this.commands.get( command ) ;
+} ;
+
+
+
+// Return the default { ack , compressed , codec } of a userland message, or null, unset compressed and codec are null
+ProtocolSchema.prototype.getDefaults = function( type , command ) {
+	var definition = USERLAND_TYPES.has( type ) && this.commands.get( command ) ;
+	if ( ! definition ) { return null ; }
+	return { ack: definition.ack , compressed: definition.compressed , codec: definition.codec } ;
+} ;
+
+
+
+// Return true if a message of this type and command is allowed, built-in types are not part of the schema
+ProtocolSchema.prototype.accepts = function( type , command ) {
+	if ( ! USERLAND_TYPES.has( type ) ) { return true ; }
+
+	var definition = this.commands.get( command ) ;
+	if ( ! definition ) { return ! this.strict ; }
+	return definition.types.has( type ) ;
+} ;
+
+
+
+ProtocolSchema.prototype.getBinaryDataParams = function( type , command ) {
+	var definition = this.commands.get( command ) ;
+	if ( ! definition ) { return null ; }
+	return type === 'R' ? definition.response : definition.request ;
+} ;
+
+
+
+// Merge the schema into binaryDataParams (the .perCommand part), used by UniProtocol
+ProtocolSchema.prototype.toBinaryDataParams = function( binaryDataParams = null ) {
+	binaryDataParams = Object.assign( {} , binaryDataParams ) ;
+	binaryDataParams.perCommand = Object.assign( {} , binaryDataParams.perCommand ) ;
+
+	for ( let definition of this.commands.values() ) {
+		for ( let type of definition.types ) {
+			let params = type === 'R' ? definition.response : definition.request ;
+			if ( params ) { binaryDataParams.perCommand[ type + definition.command ] = params ; }
+		}
+	}
+
+	return binaryDataParams ;
+} ;
+
+
+
+// Throw if the data doesn't match the model of this type and command
+ProtocolSchema.prototype.validate = function( type , command , data ) {
+	if ( ! USERLAND_TYPES.has( type ) ) { return ; }
+
+	var definition = this.commands.get( command ) ;
+
+	if ( ! definition ) {
+		if ( this.strict ) { throw invalidError( "undeclared command '" + command + "'" ) ; }
+		return ;
+	}
+
+	if ( ! definition.types.has( type ) ) {
+		throw invalidError( "type '" + type + "' is not allowed for command '" + command + "'" ) ;
+	}
+
+	var model = this.getBinaryDataParams( type , command )?.model ;
+	if ( ! model || data === undefined ) { return ; }
+
+	var error = checkModel( data , model , 'data' ) ;
+	if ( error ) { throw invalidError( type + command + ": " + error ) ; }
+} ;
+
+
+
+// A short hash of the whole schema, peers with different fingerprints don't speak the same protocol
+ProtocolSchema.prototype.getFingerprint = function() {
+	if ( this.fingerprint ) { return this.fingerprint ; }
+
+	var hash = crypto.createHash( 'sha256' ) ,
+		commands = [ ... this.commands.keys() ].sort() ;
+
+	for ( let command of commands ) {
+		let definition = this.commands.get( command ) ;
+		hash.update( command + ' ' + [ ... definition.types ].sort().join( '' )
+			+ ' ' + describeParams( definition.request ) + ' ' + describeParams( definition.response )
+			+ ' ' + ( definition.compressed ? 'z' : '-' ) + ( definition.ack ? 'a' : '-' )
+			+ ( definition.dictionary ? ' ' + crypto.createHash( 'sha256' ).update( definition.dictionary ).digest( 'hex' ) : '' ) + '\n' ) ;
+	}
+
+	this.fingerprint = hash.digest( 'hex' ).slice( 0 , 16 ) ;
+	return this.fingerprint ;
+} ;
+
+
+
+function invalidError( message ) {
+	var error = new Error( "Invalid data: " + message ) ;
+	error.code = 'invalidData' ;
+	return error ;
+}
+
+
+
+// A bare DataModel is a shorthand for { model }
+function toBinaryDataParams( params ) {
+	if ( ! params ) { return null ; }
+	if ( params.isDataModel ) { return { model: params } ; }
+	return params ;
+}
+
+
+
+const INTEGER_RANGES = {
+	uint8: [ 0 , 0xff ] ,
+	int8: [ - 0x80 , 0x7f ] ,
+	uint16: [ 0 , 0xffff ] ,
+	int16: [ - 0x8000 , 0x7fff ] ,
+	uint32: [ 0 , 0xffffffff ] ,
+	int32: [ - 0x80000000 , 0x7fffffff ]
+} ;
+
+const STRING_MAX_BYTES = {
+	lps8string: 0xff ,
+	lps16string: 0xffff ,
+	lps32string: 0xffffffff
+} ;
+
+
+
+// Return an error message, or null if the value matches the type (a scalar type or a DataModel)
+function checkModel( value , type , path ) {
+	if ( type === 'any' ) { return null ; }
+
+	if ( typeof type === 'string' ) {
+		if ( type === 'boolean' ) {
+			return typeof value === 'boolean' ? null : path + " should be a boolean" ;
+		}
+
+		if ( Object.hasOwn( INTEGER_RANGES , type ) ) {
+			let [ min , max ] = INTEGER_RANGES[ type ] ;
+			return Number.isInteger( value ) && value >= min && value <= max ? null : path + " should be a " + type ;
+		}
+
+		if ( Object.hasOwn( STRING_MAX_BYTES , type ) ) {
+			if ( typeof value !== 'string' ) { return path + " should be a string" ; }
+			return Buffer.byteLength( value ) <= STRING_MAX_BYTES[ type ] ? null : path + " is too long for a " + type ;
+		}
+
+		// number, float32, float64
+		return typeof value === 'number' ? null : path + " should be a number" ;
+	}
+
+	switch ( type.type ) {
+		case 'typedArray' :
+		case 'fixedTypedArray' :
+			if ( ! Array.isArray( value ) && ! ArrayBuffer.isView( value ) ) { return path + " should be an array" ; }
+
+			if ( type.fixedLength && value.length !== type.length ) {
+				return path + " should have " + type.length + " elements" ;
+			}
+
+			for ( let i = 0 ; i < value.length ; i ++ ) {
+				let error = checkModel( value[ i ] , type.ofType , path + '[' + i + ']' ) ;
+				if ( error ) { return error ; }
+			}
+
+			return null ;
+		case 'sealedObject' :
+			if ( ! value || typeof value !== 'object' ) { return path + " should be an object" ; }
+
+			for ( let [ key , keyType ] of type.keyTypePairs ) {
+				let error = checkModel( value[ key ] , keyType , path + '.' + key ) ;
+				if ( error ) { return error ; }
+			}
+
+			return null ;
+		default :
+			return null ;
+	}
+}
+
+
+
+function describeModel( type ) {
+	if ( typeof type === 'string' ) { return type ; }
+
+	switch ( type.type ) {
+		case 'typedArray' :
+			return '[' + describeModel( type.ofType ) + ']' ;
+		case 'fixedTypedArray' :
+			return '[' + describeModel( type.ofType ) + ';' + type.length + ']' ;
+		case 'sealedObject' :
+			return '{' + type.keyTypePairs.map( ( [ key , keyType ] ) => key + ':' + describeModel( keyType ) ).join( ',' ) + '}' ;
+		default :
+			return '?' ;
+	}
+}
+
+
+
+function describeParams( params ) {
+	if ( ! params ) { return '-' ; }
+
+	return ( params.model ? describeModel( params.model ) : '*' )
+		+ ( params.referenceStrings ? '&' : '' )
+		+ ( params.initialStringReferences ? '(' + params.initialStringReferences.join( ',' ) + ')' : '' )
+		+ ( params.classMap ? '#' : '' ) ;
+}
@@ -0,0 +1,256 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const TokenBucket = require( './TokenBucket.js' ) ;
+const common = require( './common.js' ) ;
+
+
+
+/*
+	Protect the receiving side from flooding senders, senders are identified by their IP address (not the port).
+
+	Params:
+		rate: packets per second allowed per sender, 0: unlimited (default)
+		burst: packets a sender can send at once (default: 2 * rate)
+		commands: object, key: type + command (e.g. 'Qserv'), value: rate or { rate , burst }, per sender
+		penalties: object, key: reason, value: penalty points, reasons are 'rateLimit', 'commandRateLimit', 'malformed' and 'corrupted'
+		banThreshold: penalty points that get the sender banned, points decay at this rate per banWindow,
+			0: never ban (default), source IPs can be spoofed to get a legit peer banned, so it's opt-in
+		banWindow: in ms
+		banDuration: in ms
+		logBurst: error logs allowed per sender before they are throttled, then logRate per second
+		maxSenders: max senders tracked at once, the oldest are forgotten
+*/
+function RateLimiter( params = {} ) {
+	this.rate = + params.rate || 0 ;
+	this.burst = + params.burst || 2 * this.rate ;
+	this.commands = new Map() ;	// type + command => { rate , burst }
+	this.penalties = Object.assign( {} , DEFAULT_PENALTIES , params.penalties ) ;
+	this.banThreshold = + params.banThreshold || 0 ;
+	this.banWindow = + params.banWindow || 10000 ;
+	this.banDuration = + params.banDuration || 60000 ;
+	this.logBurst = + params.logBurst || 5 ;
+	this.logRate = + params.logRate || 0.1 ;
+	this.maxSenders = + params.maxSenders || 10000 ;
+
+	this.senders = new Map() ;	// IP => sender state
+	this.bans = new Map() ;	// IP => time the ban expires
+	this.lastPrune = Date.now() ;
+
+	if ( params.commands ) {
+		for ( let key of Object.keys( params.commands ) ) {
+			let limit = params.commands[ key ] ;
+			let rate = + ( typeof limit === 'object' ? limit.rate : limit ) || 0 ;
+			if ( rate ) { this.commands.set( key , { rate , burst: + limit.burst || 2 * rate } ) ; }
+		}
+	}
+}
+
+module.exports = RateLimiter ;
+
+
+
+const DEFAULT_PENALTIES = {
+	rateLimit: 1 ,
+	commandRateLimit: 1 ,
+	malformed: 5 ,
+	corrupted: 0	// network corruption is not the sender's fault
+} ;
+
+const PRUNE_INTERVAL = 10000 ;
+
+
+
+function getIp( address ) {
+	return common.normalizeAddress( address ).address ;
+}
+
+
+
+// Internal, get or create the state of the sender
+RateLimiter.prototype.getSender = function( ip ) {
+	var sender = this.senders.get( ip ) ,
+		now = Date.now() ;
+
+	if ( sender ) {
+		sender.lastSeen = now ;
+		return sender ;
+	}
+
+	if ( now - this.lastPrune > PRUNE_INTERVAL ) { this.prune( now ) ; }
+
+	if ( this.senders.size >= this.maxSenders ) {
+		this.senders.delete( this.senders.keys().next().value ) ;
+	}
+
+	sender = {
+		lastSeen: now ,
+		bucket: this.rate ? new TokenBucket( this.rate , this.burst ) : null ,
+		commandBuckets: null ,	// type + command => TokenBucket
+		penaltyBucket: null ,
+		logBucket: null ,
+		suppressedLogs: 0
+	} ;
+
+	this.senders.set( ip , sender ) ;
+	return sender ;
+} ;
+
+
+
+// Internal, forget senders idle long enough for their buckets to be full again
+RateLimiter.prototype.prune = function( now = Date.now() ) {
+	var idleTime = Math.max( PRUNE_INTERVAL , this.banWindow ) ;
+	this.lastPrune = now ;
+
+	for ( let [ ip , sender ] of this.senders ) {
+		if ( now - sender.lastSeen > idleTime ) { this.senders.delete( ip ) ; }
+	}
+
+	for ( let [ ip , expires ] of this.bans ) {
+		if ( now >= expires ) { this.bans.delete( ip ) ; }
+	}
+} ;
+
+
+
+RateLimiter.prototype.isBanned = function( address ) {
+	var ip = getIp( address ) ,
+		expires = this.bans.get( ip ) ;
+
+	if ( expires === undefined ) { return false ; }
+	if ( Date.now() < expires ) { return true ; }
+
+	this.bans.delete( ip ) ;
+	return false ;
+} ;
+
+
+
+RateLimiter.prototype.ban = function( address , duration = this.banDuration ) {
+	var ip = getIp( address ) ;
+	this.bans.set( ip , Date.now() + duration ) ;
+	this.senders.delete( ip ) ;
+} ;
+
+
+
+RateLimiter.prototype.unban = function( address ) {
+	this.bans.delete( getIp( address ) ) ;
+} ;
+
+
+
+// Return the reason the packet should be dropped ('banned' or 'rateLimit'), or null
+RateLimiter.prototype.checkPacket = function( address ) {
+	if ( this.bans.size && this.isBanned( address ) ) { return 'banned' ; }
+	if ( ! this.rate ) { return null ; }
+
+	var bucket = this.getSender( getIp( address ) ).bucket ;
+	if ( bucket.getWaitTime( 1 ) ) { return 'rateLimit' ; }
+
+	bucket.take( 1 ) ;
+	return null ;
+} ;
+
+
+
+// Return true if this message's command is within its limit
+RateLimiter.prototype.checkCommand = function( address , type , command ) {
+	var limit = this.commands.get( type + command ) ;
+	if ( ! limit ) { return true ; }
+
+	var sender = this.getSender( getIp( address ) ) ;
+	if ( ! sender.commandBuckets ) { sender.commandBuckets = new Map() ; }
+
+	var bucket = sender.commandBuckets.get( type + command ) ;
+
+	if ( ! bucket ) {
+		bucket = new TokenBucket( limit.rate , limit.burst ) ;
+		sender.commandBuckets.set( type + command , bucket ) ;
+	}
+
+	if ( bucket.getWaitTime( 1 ) ) { return false ; }
+
+	bucket.take( 1 ) ;
+	return true ;
+} ;
+
+
+
+// Add the penalty points of this reason, return true if the sender is now banned
+RateLimiter.prototype.penalize = function( address , reason ) {
+	var points = this.penalties[ reason ] ;
+	if ( ! points || ! this.banThreshold ) { return false ; }
+
+	var ip = getIp( address ) ,
+		sender = this.getSender( ip ) ;
+
+	if ( ! sender.penaltyBucket ) { sender.penaltyBucket = new TokenBucket( this.banThreshold * 1000 / this.banWindow , this.banThreshold ) ; }
+
+	sender.penaltyBucket.take( points ) ;
+	if ( sender.penaltyBucket.tokens > 0 ) { return false ; }
+
+	this.ban( address ) ;
+	return true ;
+} ;
+
+
+
+// Log throttling, return the number of logs suppressed since the last one allowed (0 or more), or -1 if this one is suppressed too
+RateLimiter.prototype.allowLog = function( address ) {
+	var sender = this.getSender( getIp( address ) ) ;
+	if ( ! sender.logBucket ) { sender.logBucket = new TokenBucket( this.logRate , this.logBurst ) ; }
+
+	if ( sender.logBucket.getWaitTime( 1 ) ) {
+		sender.suppressedLogs ++ ;
+		return - 1 ;
+	}
+
+	sender.logBucket.take( 1 ) ;
+
+	var suppressed = sender.suppressedLogs ;
+	sender.suppressedLogs = 0 ;
+	return suppressed ;
+} ;
+
+
+
+RateLimiter.prototype.getBans = function() {
+	var now = Date.now() ,
+		bans = [] ;
+
+	for ( let [ ip , expires ] of this.bans ) {
+		if ( now < expires ) { bans.push( { address: ip , expires } ) ; }
+	}
+
+	return bans ;
+} ;
+
@@ -0,0 +1,114 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+"use strict" ;
+
+
+
+const common = require( './common.js' ) ;
+
+
+
+/*
+	A session is a connection-like state shared by two endpoints, created by the 's' handshake.
+	Once opened, every message sent to the peer is stamped with the session ID, and with a sequence used to reject replayed messages.
+*/
+function Session( id , peer , isInitiator = false ) {
+	this.id = id ;	// hex string
+	this.peer = { address: peer.address , port: peer.port , family: peer.family } ;
+	this.peerId = common.getAddressId( peer ) ;
+	this.isInitiator = !! isInitiator ;	// true if we are the one that sent the handshake
+	this.openId = 0 ;	// ID of the handshake message, used to recognize an handshake that was sent again
+	this.localPublicKey = null ;	// our X25519 public key, kept to send the handshake reply again
+	this.encryptionKey = null ;	// AES key for outgoing data, if the session is encrypted
+	this.decryptionKey = null ;	// AES key for incoming data, if the session is encrypted
+	this.createdAt = Date.now() ;
+	this.lastActivity = this.createdAt ;
+	this.sendSequence = 0 ;	// last sequence sent
+	this.replayProtected = false ;	// true once the peer sent a sequence, then messages without one are rejected
+	this.highestSequence = 0 ;	// highest sequence received
+	this.receivedSequences = new Set() ;	// sequences received within the replay window
+}
+
+module.exports = Session ;
+
+
+
+// Return true if the message is from the peer owning this session
+Session.prototype.isFrom = function( endpoint ) {
+	return common.getAddressId( endpoint ) === this.peerId ;
+} ;
+
+
+
+Session.prototype.isEncrypted = function() {
+	return !! this.encryptionKey ;
+} ;
+
+
+
+Session.prototype.setKeys = function( keys ) {
+	this.encryptionKey = keys.encryptionKey ;
+	this.decryptionKey = keys.decryptionKey ;
+} ;
+
+
+
+Session.prototype.touch = function() {
+	this.lastActivity = Date.now() ;
+} ;
+
+
+
+// Sequences start at 1
+Session.prototype.nextSequence = function() {
+	this.sendSequence = ( this.sendSequence + 1 ) % 0x100000000 || 1 ;
+	return this.sendSequence ;
+} ;
+
+
+
+// Sliding replay window: return false if the sequence was already received, or if it is too old to know
+Session.prototype.checkReplay = function( sequence , window ) {
+	this.replayProtected = true ;
+
+	if ( sequence > this.highestSequence ) {
+		this.highestSequence = sequence ;
+
+		// Forget sequences that have left the window, they are roughly in order
+		for ( let received of this.receivedSequences ) {
+			if ( received > sequence - window ) { break ; }
+			this.receivedSequences.delete( received ) ;
+		}
+	}
+	else if ( sequence <= this.highestSequence - window || this.receivedSequences.has( sequence ) ) {
+		return false ;
+	}
+
+	this.receivedSequences.add( sequence ) ;
+	return true ;
+} ;
+
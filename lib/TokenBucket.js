@@ -0,0 +1,79 @@
+/*
+	UniProtocol
+
+	Copyright (c) 2025 Cédric Ronvel
+
+	The MIT License (MIT)
+
+	Permission is hereby granted, free of charge, to any person obtaining a copy
+	of this software and associated documentation files (the "Software"), to deal
+	in the Software without restriction, including without limitation the rights
+	to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+	copies of the Software, and to permit persons to whom the Software is
+	furnished to do so, subject to the following conditions:
+
+	The above copyright notice and this permission notice shall be included in all
+	copies or substantial portions of the Software.
+
+	THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+	IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+	FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+	AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+	LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+	OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+	SOFTWARE.
+*/
+
+
+"use strict" ;
+
+
+
+/*
+	Token bucket, limit a rate (e.g. bytes per second) while allowing small bursts.
+*/
+function TokenBucket( rate , burst ) {
+	this.rate = rate ;	// tokens per second
+	this.burst = burst ;	// max tokens that can be accumulated
+	this.tokens = burst ;
+	this.lastRefill = Date.now() ;
+}
+
+module.exports = TokenBucket ;
+
+
+
+TokenBucket.prototype.refill = function() {
+	var now = Date.now() ;
+	this.tokens = Math.min( this.burst , this.tokens + ( now - this.lastRefill ) * this.rate / 1000 ) ;
+	this.lastRefill = now ;
+} ;
+
+
+
+TokenBucket.prototype.setRate = function( rate , burst = this.burst ) {
+	this.refill() ;
+	this.rate = rate ;
+	this.burst = burst ;
+	this.tokens = Math.min( this.tokens , burst ) ;
+} ;
+
+
+
+// Return how long to wait (ms) before taking that many tokens, 0 if it can be done now.
+// A count greater than the burst is allowed once the bucket is full.
+TokenBucket.prototype.getWaitTime = function( count ) {
+	this.refill() ;
+	count = Math.min( count , this.burst ) ;
+	if ( this.tokens >= count ) { return 0 ; }
+	return Math.ceil( ( count - this.tokens ) * 1000 / this.rate ) ;
+} ;
+
+
+
+// Tokens can go negative, the debt is paid by waiting longer next time
+TokenBucket.prototype.take = function( count ) {
+	this.refill() ;
+	this.tokens -= count ;
+} ;
+
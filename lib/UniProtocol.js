@@ -29,8 +29,19 @@
 
 
 const common = require( './common.js' ) ;
+const Session = require( './Session.js' ) ;
+const Peer = require( './Peer.js' ) ;
+const TokenBucket = require( './TokenBucket.js' ) ;
+const CongestionController = require( './CongestionController.js' ) ;
+const OutgoingStream = require( './OutgoingStream.js' ) ;
+const ProtocolSchema = require( './ProtocolSchema.js' ) ;
+const RateLimiter = require( './RateLimiter.js' ) ;
+const CodecRegistry = require( './CodecRegistry.js' ) ;
+const IncomingStream = require( './IncomingStream.js' ) ;
 
 const dgram = require( 'dgram' ) ;
+const net = require( 'net' ) ;
+const os = require( 'os' ) ;
 const zlib = require( 'zlib' ) ;
 
 const ip = require( 'ip' ) ;
@@ -49,12 +60,17 @@ const log = Logfella.global.use( 'UniProtocol' ) ;
 	Universal UDP Protocol.
 	A UDP protocol layer to simplify UDP messaging.
 	
-	Support: ack, deflate compression, packet fragmentation/reassembly.
-	TODO: nack, session, encryption.
+	Support: ack, nack, compression (deflate, brotli, pre-shared dictionary or userland codecs), packet fragmentation/reassembly, session, encryption, keep-alive, streaming.
 */
 function UniProtocol( params = {} ) {
 	this.protocolSignature = 'UNP' ;
-	this.serverPort = + params.serverPort || 0 ;	// If set, start listening to this port
+	// Local binding, params.bind is an object: { port , address , reuseAddr }, params.serverPort and params.bindAddress still work
+	this.serverPort = + params.bind?.port || + params.serverPort || 0 ;	// If set, start listening to this port, else a random port is used
+	this.ipv6 = !! params.ipv6 ;	// true: use an IPv6 socket
+	this.dualStack = params.dualStack !== false ;	// for IPv6 socket, also accept IPv4 (as IPv4-mapped addresses)
+	this.bindAddress = params.bind?.address || params.bindAddress || null ;	// the local address to bind to, default to all
+	this.reuseAddr = !! params.bind?.reuseAddr ;	// true: allow multiple sockets to bind the same port
+	this.bindInterface = params.interface || null ;	// if set and no bindAddress, bind to the address of this network interface
 	this.autoUnserialize = !! params.autoUnserialize ;
 	this.supportedCommands =
 		Array.isArray( params.supportedCommands ) ? new Set( params.supportedCommands ) :
@@ -63,13 +79,90 @@ function UniProtocol( params = {} ) {
 
 	this.ackResendTimeout = + params.ackResendTimeout || 200 ;
 	this.ackForgetTimeout = + params.ackForgetTimeout || 2000 ;
+
+	// Adaptive resend, once the round-trip time of a peer is measured, its RTO replace the ackResendTimeout,
+	// and the ack/response timeouts are extended for slow peers: an ack is waited for until the last resend had its RTO
+	// (each one up to maxResendTimeout), even if it's longer than ackForgetTimeout
+	this.adaptiveResend = params.adaptiveResend !== false ;
+	this.minResendTimeout = + params.minResendTimeout || 50 ;
+	this.maxResendTimeout = + params.maxResendTimeout || 5000 ;
 	this.ignoreWantedAck = !! params.ignoreWantedAck ;	// true: never send ack when the other end ask for one
 	this.enableSession = !! params.enableSession ;	// true: support session with handshake
+	this.sessionOpenTimeout = + params.sessionOpenTimeout || 2000 ;
+	// Server-side, an address that has not proved it owns it is sent a retry token ('h' 'rtry') first, the key exchange is done
+	// once the handshake comes back with it. Sessions idle for sessionTimeout ms are closed (reason: 'timeout').
+	this.maxSessions = + params.maxSessions || 10000 ;
+	this.sessionTimeout = + params.sessionTimeout || 300000 ;
+	this.encryption = !! params.encryption ;	// true: client ask for encrypted sessions, server refuses unencrypted sessions
+
+	// Session messages carry a sequence, a replayed message is rejected, as well as a message older than the window
+	this.replayProtection = params.replayProtection !== false ;
+	this.replayWindow = + params.replayWindow || 1024 ;
+
+	// Userland messages (but queries and frames) received again are dropped, e.g. when our ack was lost and the sender retried,
+	// they are acked again but not emitted twice. Messages with ID 0 are not checked.
+	this.dedupTimeout = + params.dedupTimeout || 10000 ;
+	this.dedupMaxIds = + params.dedupMaxIds || 1024 ;	// per peer
+
+	// Anti-amplification: a response bigger than amplificationRatio times its query is only sent to a validated address,
+	// i.e. a session peer or a query carrying a retry token, else a small retry token ('h' 'rtry') is sent back instead,
+	// and the querier sends the query again with it. 0: disabled.
+	// The retry token reply is bound by the ratio too, so a query too small for it (e.g. a ratio below 3 and no data) is not answered at all,
+	// nor is an unencrypted session handshake (session handshakes need a retry token, see maxSessions).
+	this.amplificationRatio = + params.amplificationRatio || 0 ;
+	this.retryTokenSecret = params.retryTokenSecret || common.getRandomHexId( 32 ) ;	// servers sharing an address should share it
+	this.retryTokenLifetime = + params.retryTokenLifetime || 300000 ;
+
+	// Incoming flood protection: rate limits per sender IP (and per command), penalties leading to a temporary ban (opt-in),
+	// and throttling of error logs caused by bad packets, see RateLimiter for params.rateLimit
+	this.rateLimiter = new RateLimiter( params.rateLimit || {} ) ;
+	this.receivedPackets = 0 ;
+	this.droppedPackets = {
+		banned: 0 ,
+		rateLimit: 0 ,
+		commandRateLimit: 0 ,
+		malformed: 0 ,
+		unsupported: 0 ,	// not penalized
+		corrupted: 0 ,
+		duplicate: 0 ,	// message, not packet
+		replay: 0	// message, not packet
+	} ;
 
 	// Data serializer parameters (jsbindat), allowing more space-efficient serialization (e.g. when using a data model)
 	// this.binaryDataParams.global contains global config, this.binaryDataParams.perCommand contains per-command config (key: type + command)
 	this.binaryDataParams = params.binaryDataParams || null ;
 
+	// The ProtocolSchema (or the object to create it), it declares each userland command: types, data models, ack and compression,
+	// its data models are merged into .binaryDataParams
+	this.schema = ! params.schema ? null : params.schema instanceof ProtocolSchema ? params.schema : new ProtocolSchema( params.schema ) ;
+	if ( this.schema ) { this.binaryDataParams = this.schema.toBinaryDataParams( this.binaryDataParams ) ; }
+
+	// Compression, for userland messages not setting it, compression is false, true or 'auto': only payloads above the threshold
+	// are compressed. In any case, the payload is sent uncompressed if compression doesn't make it smaller.
+	// Codecs other than deflate are only used with peers advertising it in their hello.
+	this.compression = params.compression === 'auto' ? 'auto' : !! params.compression ;
+	this.codec = params.codec || 'deflate' ;	// default codec, see CodecRegistry
+	this.asyncCompressionThreshold = + params.asyncCompressionThreshold || 65536 ;	// bigger payloads are compressed without blocking the event loop
+	this.codecs = new CodecRegistry( { threshold: params.compressionThreshold } ) ;
+
+	if ( Array.isArray( params.codecs ) ) {
+		for ( let codec of params.codecs ) { this.codecs.add( codec ) ; }
+	}
+
+	// Pre-shared dictionaries of the 'dictionary' codec, key: command
+	if ( params.dictionaries ) {
+		for ( let command of Object.keys( params.dictionaries ) ) { this.codecs.setDictionary( command , params.dictionaries[ command ] ) ; }
+	}
+
+	if ( this.schema ) {
+		for ( let definition of this.schema.commands.values() ) {
+			if ( definition.dictionary ) { this.codecs.setDictionary( definition.command , definition.dictionary ) ; }
+		}
+	}
+
+	// RPC handlers, key: command
+	this.rpcHandlers = new Map() ;
+
 	if ( params.protocolSignature ) {
 		if ( typeof params.protocolSignature === 'string' && params.protocolSignature.length === 3 && params.protocolSignature.match( /^[a-z-A-Z0-9]{3}$/ ) ) {
 			this.protocolSignature = params.protocolSignature ;
@@ -94,25 +187,142 @@ function UniProtocol( params = {} ) {
 		lost more efficiently this way, by just sending the missing part.
 	*/
 	this.maxPacketSize = + params.maxPacketSize || 0 ;
+	// IPv6 guarantees an MTU of 1280, so there is always a limit for IPv6 peers
+	this.maxPacketSizeIPv6 = + params.maxPacketSizeIPv6 || Math.max( this.maxPacketSize , UniProtocol.IPv6_MTU ) ;
+
+	// Add a CRC32C to all outgoing packets, except to peers we haven't heard from yet (a legacy peer couldn't decode them),
+	// incoming packets having one are always checked
+	this.checksum = !! params.checksum ;
+
+	// Path MTU discovery: peers are probed with bigger packets, the biggest one acked becomes the limit for this peer.
+	// A peer is only probed once it has proved it owns its address (see .validatePeer()), so probes can't be sent to a spoofed one.
+	// Sizes are packet sizes like maxPacketSize, only those above the safe default are probed.
+	this.pmtuDiscovery = !! params.pmtuDiscovery ;
+	this.pmtuProbeSizes = Array.isArray( params.pmtuProbeSizes ) ? params.pmtuProbeSizes.map( size => + size ).sort( ( a , b ) => a - b ) : [ 1280 , 1400 , 1500 ] ;
+	this.pmtuProbeRetries = params.pmtuProbeRetries !== undefined ? + params.pmtuProbeRetries || 0 : 1 ;
 	this.reassemblyForgetTimeout = + params.reassemblyForgetTimeout || 2000 ;
 
+	// Reassembly memory limits, so a few small packets announcing huge messages can't exhaust the memory.
+	// Under pressure, the oldest partial reassemblies are discarded (the sender will have to send them again).
+	// The sender refuses to send messages beyond maxMessageSize and maxFragments, so both sides should use the same values.
+	this.maxMessageSize = + params.maxMessageSize || 4 * 1024 * 1024 ;	// serialized data, also once decompressed (decompression bomb)
+	this.maxFragments = + params.maxFragments || 16384 ;	// per message, enough for maxMessageSize with 256B of data per packet
+	this.maxReassemblyBytesPerPeer = + params.maxReassemblyBytesPerPeer || 2 * this.maxMessageSize ;
+	this.maxReassemblyBytes = + params.maxReassemblyBytes || 64 * 1024 * 1024 ;	// all peers
+
+	// Nack: when fragments stop arriving and some are missing, ask the sender for the missing ones only
+	this.enableNack = params.enableNack !== false ;
+	this.nackDelay = + params.nackDelay || 50 ;	// how long to wait since the last received fragment before sending nacks
+	this.nackMaxRounds = + params.nackMaxRounds || 3 ;
+	this.nackMaxFragments = + params.nackMaxFragments || 32 ;	// max nacks sent per round
+	this.fragmentForgetTimeout = + params.fragmentForgetTimeout || 2000 ;	// how long sent fragments are kept for nack
+
 	this.socket = null ;
 
 	// Events on "this" are generic, event on .incoming are Messages, named after the message's type + command
 	this.incoming = new LeanEvents() ;
 
-	// Pending acks are promises, older pending acks are purged
-	this.pendingAcks = new lruKit.LRUCacheMap( this.ackForgetTimeout , 1000 , 4 ) ;
+	// Userland messages go through the middlewares, in order, before being emitted and before being sent, see .use()
+	this.middlewares = [] ;
+
+	// Pending acks are promises, each one is removed by its own timeout timer, so it lives for the whole retry window
+	this.pendingAcks = new Map() ;
 
 	// Pending fragments awaiting to be reassembled, older pending fragments are purged
 	this.pendingReassemblies = new lruKit.LRUCacheMap( this.reassemblyForgetTimeout , 1000 , 4 ) ;
 
-	// Pending queries are promises, older pending queries are purged
-	this.responseForgetTimeout = + params.responseForgetTimeout || 2000 ;
-	this.pendingResponses = new lruKit.LRUCacheMap( this.responseForgetTimeout , 1000 , 4 ) ;
+	// Partial reassemblies in creation order (oldest first) and the memory they use, both globally and per peer
+	this.partialReassemblies = new Map() ;	// reassembly ID => reassembly
+	this.reassemblyBytes = 0 ;
+	this.peerReassemblyBytes = new Map() ;	// peer ID => bytes
+	this.discardedReassemblies = 0 ;
+	this.lastReassemblyPrune = 0 ;
+
+	// Recently sent fragments (array of buffers), so they can be sent again on nack
+	this.sentFragments = new lruKit.LRUCacheMap( this.fragmentForgetTimeout , 1000 , 4 ) ;
+
+	// Pending queries (and session handshakes) are promises, each one is removed by its own timeout timer,
+	// so a query can wait longer than the default timeout
+	this.responseForgetTimeout = + params.responseForgetTimeout || 2000 ;	// default query timeout
+	this.pendingResponses = new Map() ;
+
+	// Queries received recently and their response, so a query sent again does not execute its handler twice
+	this.responseCacheTimeout = + params.responseCacheTimeout || 5000 ;
+	this.sentResponses = new lruKit.LRUCacheMap( this.responseCacheTimeout , 1000 , 4 ) ;
+
+	// Opened sessions, indexed by session ID and by peer address ID
+	this.sessions = new Map() ;
+	this.peerSessions = new Map() ;
+
+	// Known peers, indexed by address ID, a peer is created once a valid message is received from it.
+	// When there are too many, the oldest peer not validated yet is forgotten to make room.
+	this.peers = new Map() ;
+	this.maxPeers = + params.maxPeers || 10000 ;
+
+	// Peers that were silent for too long are forgotten (emit 'peer-timeout'), with or without keep-alive.
+	// Built-in keep-alive, if keepAliveInterval is set, validated peers (and peers having a session) are pinged regularly.
+	this.keepAliveInterval = + params.keepAliveInterval || 0 ;
+	this.peerTimeout = + params.peerTimeout || 3 * this.keepAliveInterval || 30000 ;
+	this.keepAliveTimer = null ;
+	this.peerTimeoutTimer = null ;
+
+	// Publish/subscribe, subscribers subscribe to channels (the command of 'E' messages) for a limited time (lease),
+	// and renew their subscriptions regularly
+	this.subscriptionLease = + params.subscriptionLease || 30000 ;	// lease asked by the subscriber
+	this.maxSubscriptionLease = + params.maxSubscriptionLease || 60000 ;	// max lease granted by the publisher
+	// Events are sent to subscribers without asking, so only peers that proved they own their address can subscribe
+	this.maxChannelsPerPeer = + params.maxChannelsPerPeer || 64 ;
+	this.maxSubscribersPerChannel = + params.maxSubscribersPerChannel || 10000 ;
+	this.subscribers = new Map() ;	// publisher-side, key: channel, value: Map of address ID => { address , expires }
+	this.subscriptions = new Map() ;	// subscriber-side, key: address ID + ':' + channel
+
+	// Real-time frames, the last serialized frames are kept on both sides, so a frame can be sent as a delta of an older one
+	this.frameHistorySize = + params.frameHistorySize || 32 ;
+	this.maxFrameSize = + params.maxFrameSize || 65536 ;	// serialized state, bigger frames are neither sent nor received
+	this.frameHistory = new Map() ;	// sender-side, key: command, value: Map of frame ID => buffer
+
+	// Channels (0-255), each one has its delivery mode, and messages sent on it carry a sequence number.
+	// params.channels is an object, key: channel, value: delivery mode (see UniProtocol.DELIVERY)
+	this.channelModes = new Map() ;
+	this.channelGapTimeout = + params.channelGapTimeout || this.ackForgetTimeout ;	// reliable-ordered: how long to wait for a missing message before skipping it
+	this.channelMaxBuffer = + params.channelMaxBuffer || 256 ;	// reliable: max number of out of order messages held per channel
+
+	if ( params.channels ) {
+		for ( let channel in params.channels ) { this.setChannel( + channel , params.channels[ channel ] ) ; }
+	}
 
-	this.serverStarted = false ;
-	this.clientStarted = false ;
+	// Congestion control, packets are queued and paced according to the send rate of each peer, see CongestionController.
+	// Addresses we have never received anything from have their own controller too, so losses from silent hosts (e.g. a scan)
+	// don't throttle sends to other new peers, it becomes the peer's controller once it answers.
+	// Acks and nacks are never queued.
+	this.congestionControl = params.congestionControl !== false ;
+	this.congestionParams = params.congestion || null ;	// { initialRate , minRate , maxRate , increase } in bytes per second
+	this.unknownPeerCongestions = new lruKit.LRUCacheMap( this.peerTimeout , 1000 , 4 ) ;	// address ID => CongestionController
+	this.maxBandwidth = + params.maxBandwidth || 0 ;	// global outgoing limit in bytes per second, 0: unlimited
+	this.bandwidthBucket = this.maxBandwidth ? new TokenBucket( this.maxBandwidth , Math.max( 8192 , this.maxBandwidth / 20 ) ) : null ;
+	this.sendQueue = [] ;
+	this.sendQueueTimer = null ;
+
+	// Streams ('t'), for payloads too big to be held in memory, the data is sent as a sequence of chunks, each one is a message with ack
+	this.streamChunkSize = + params.streamChunkSize || 32768 ;	// without maxPacketSize, a chunk is sent as a single UDP packet, so it must be below 64KB
+	this.streamWindow = + params.streamWindow || 8 ;	// how many chunks can be sent ahead of what the receiver has consumed
+	this.streamMaxWindow = + params.streamMaxWindow || 64 ;	// incoming streams asking for a bigger window are refused
+	this.streamRetries = params.streamRetries !== undefined ? + params.streamRetries || 0 : Math.floor( this.ackForgetTimeout / this.ackResendTimeout ) ;
+	this.streamResumes = params.streamResumes !== undefined ? + params.streamResumes || 0 : 3 ;	// how many times a lost chunk is sent again as a new message
+	this.streamTimeout = + params.streamTimeout || 30000 ;	// max time without any progress
+	this.streamIdleTimeout = + params.streamIdleTimeout || 60000 ;	// max time an incoming stream waits for its consumer to read, then it is aborted and its slot is freed
+	this.maxIncomingStreams = + params.maxIncomingStreams || 16 ;
+	this.outgoingStreams = new Map() ;	// key: peer ID + '/' + stream ID
+	this.incomingStreams = new Map() ;	// key: peer ID + '/' + stream ID
+
+	// Protocol capabilities, exchanged with 'h' hello ('helo' and its reply 'ehlo')
+	this.capabilities = CAPABILITY.event | CAPABILITY.frame | CAPABILITY.channel | CAPABILITY.stream | CAPABILITY.checksum | CAPABILITY.codec ;
+	if ( this.enableSession ) { this.capabilities |= CAPABILITY.session | CAPABILITY.encryption | CAPABILITY.replay ; }
+	this.pendingHellos = new Map() ;	// key: peer ID + ':' + hello ID
+
+	this.startPromise = null ;
+	this.closed = false ;
+	this.closePromise = null ;
 }
 
 UniProtocol.prototype = Object.create( LeanEvents.prototype ) ;
@@ -121,56 +331,327 @@ UniProtocol.prototype.constructor = UniProtocol ;
 module.exports = UniProtocol ;
 
 UniProtocol.common = common ;
+UniProtocol.Session = Session ;
+UniProtocol.Peer = Peer ;
+UniProtocol.IncomingStream = IncomingStream ;
+UniProtocol.ProtocolSchema = ProtocolSchema ;
+UniProtocol.CodecRegistry = CodecRegistry ;
 UniProtocol.ip = ip ;
 UniProtocol.DataModel = jsbindat.DataModel ;
 UniProtocol.ClassMap = jsbindat.ClassMap ;
 
 
 
+// The version byte of the header, 0 is the legacy format, before it was versioned
+const PROTOCOL_VERSION = UniProtocol.PROTOCOL_VERSION = 1 ;
+
+// Capability bitmap, so peers only use features both sides support
+const CAPABILITY = UniProtocol.CAPABILITY = {
+	session: 1 ,
+	encryption: 2 ,
+	event: 4 ,	// 'e' subscriptions
+	frame: 8 ,	// 'F' and 'f'
+	channel: 16 ,	// sequence flag
+	stream: 32 ,	// 't'
+	checksum: 64 ,	// checksum flag
+	codec: 128 ,	// codec flag, compression codecs other than deflate
+	replay: 256	// session sequence flag
+} ;
+
 UniProtocol.IPv4_MTU = 576 ;
 UniProtocol.IPv6_MTU = 1280 ;
 
 const UDP_IP_HEADER_SIZE = 68 ;	// IP header: 60 - UDP header: 8
 
+// Delivery modes of channels
+UniProtocol.DELIVERY = {
+	unreliable: 0 ,	// as any other message
+	'unreliable-sequenced': 1 ,	// older messages than the last received one are dropped
+	'reliable-unordered': 2 ,	// acked and sent again until acked, delivered once
+	'reliable-ordered': 3	// same, and delivered in the sending order
+} ;
+
+const DELIVERY_UNRELIABLE = 0 ;
+const DELIVERY_UNRELIABLE_SEQUENCED = 1 ;
+const DELIVERY_RELIABLE_UNORDERED = 2 ;
+const DELIVERY_RELIABLE_ORDERED = 3 ;
 
 
-UniProtocol.prototype.startServer = function() {
-	if ( this.serverStarted ) { return ; }
-	this.serverStarted = true ;
 
-	this.socket = dgram.createSocket( 'udp4' ) ;
+/*
+	Create the socket and bind it once, the same socket serves both the server and the client roles,
+	so everything is sent from the listening port (e.g. NAT-traversal, registration to a master server).
+	The optional bind argument overrides the constructor's one: { port , address , reuseAddr }.
+	The returned promise resolves with the local address once the socket is listening.
+*/
+UniProtocol.prototype.start = function( bind = null ) {
+	if ( this.startPromise ) { return this.startPromise ; }
 
-	this.socket.on( 'error' , error => {
-		log.error( "Socket error: %E" , error ) ;
-	} ) ;
+	if ( this.closed ) {
+		return Promise.reject( new common.ClosedError( "Can't start: closed" ) ) ;
+	}
 
-	this.socket.on( 'message' , ( message , sender ) => {
-		this.receive( sender , message ) ;
+	if ( bind ) {
+		if ( bind.port !== undefined ) { this.serverPort = + bind.port || 0 ; }
+		if ( bind.address !== undefined ) { this.bindAddress = bind.address || null ; }
+		if ( bind.reuseAddr !== undefined ) { this.reuseAddr = !! bind.reuseAddr ; }
+	}
+
+	var startPromise = this.startPromise = new Promise() ,
+		socket = this.socket = this.createSocket() ;
+
+	// Back to the not started state, so it can be started again (e.g. once the port is free)
+	var onError = error => {
+		socket.removeListener( 'error' , onError ) ;
+		if ( this.socket === socket ) { this.socket = null ; }
+		if ( this.startPromise === startPromise ) { this.startPromise = null ; }
+
+		try {
+			socket.close() ;
+		}
+		catch ( closeError ) {
+			// Already closed
+		}
+
+		startPromise.reject( error ) ;
+	} ;
+
+	socket.once( 'error' , onError ) ;
+
+	socket.once( 'listening' , () => {
+		socket.removeListener( 'error' , onError ) ;
+		let address = socket.address() ;
+		log.info( "Listening [%s]:%i" , address.address , address.port ) ;
+		this.startKeepAlive() ;
+		startPromise.resolve( address ) ;
 	} ) ;
 
-	this.socket.on( 'listening' , () => {
-		let address = this.socket.address() ;
-		log.info( "Server listening port %i" , address.port ) ;
+	try {
+		socket.bind( { port: this.serverPort , address: this.getBindAddress() } ) ;
+	}
+	catch ( error ) {
+		onError( error ) ;
+	}
+
+	return startPromise ;
+} ;
+
+
+
+// Both roles share the same socket, a failure to start (e.g. the port is already in use) is emitted as an 'error' event
+UniProtocol.prototype.startServer = UniProtocol.prototype.startClient = function() {
+	this.start().catch( error => {
+		log.error( "Can't start: %E" , error ) ;
+		this.emit( 'error' , error ) ;
 	} ) ;
+} ;
+
+
 
-	this.socket.bind( this.serverPort ) ;
+/*
+	Shutdown: stop all timers, reject everything pending with a ClosedError and close the socket.
+	If options.bye is set, a 'H' 'bbye' is sent to all known peers before closing.
+	The returned promise resolves once the socket is closed.
+*/
+UniProtocol.prototype.close = function( options = null ) {
+	if ( ! this.closePromise ) { this.closePromise = this.closeAsync( options ) ; }
+	return this.closePromise ;
 } ;
 
+UniProtocol.prototype.stopServer = UniProtocol.prototype.stopClient = UniProtocol.prototype.close ;
+
+
+
+// Internal
+UniProtocol.prototype.closeAsync = async function( options ) {
+	if ( this.keepAliveTimer ) { clearInterval( this.keepAliveTimer ) ; this.keepAliveTimer = null ; }
+	if ( this.peerTimeoutTimer ) { clearInterval( this.peerTimeoutTimer ) ; this.peerTimeoutTimer = null ; }
+
+	if ( options?.bye && this.socket ) {
+		let peerIds = new Set( [ ... this.peers.keys() , ... this.peerSessions.keys() ] ) ,
+			addressList = [] ;
+
+		for ( let peerId of peerIds ) {
+			addressList.push( this.peers.get( peerId )?.address || this.peerSessions.get( peerId ).peer ) ;
+		}
+
+		await Promise.map( addressList , address => this.sendHello( address , 'bbye' ).catch( error => {
+			log.debug( "Can't send bye to [%s]:%i: %E" , address.address , address.port , error ) ;
+		} ) ) ;
+	}
+
+	this.closed = true ;
+
+	if ( this.sendQueueTimer ) { clearTimeout( this.sendQueueTimer ) ; this.sendQueueTimer = null ; }
+	// Not sent, so they fail, as any send once closed
+	for ( let item of this.sendQueue ) { item.promise.reject( new common.ClosedError( "Closed before it was sent" ) ) ; }
+	this.sendQueue = [] ;
+
+	for ( let session of [ ... this.sessions.values() ] ) {
+		this.removeSession( session , 'local' ) ;
+	}
+
+	for ( let peer of this.peers.values() ) { peer.clearTimers() ; }
+	this.peers.clear() ;
+	this.subscribers.clear() ;
+
+	for ( let subscription of this.subscriptions.values() ) {
+		if ( subscription.renewTimer ) { clearTimeout( subscription.renewTimer ) ; subscription.renewTimer = null ; }
+	}
+
+	this.subscriptions.clear() ;
+
+	for ( let stream of [ ... this.outgoingStreams.values() ] ) {
+		stream.fail( new common.ClosedError( "Closed while streaming" ) ) ;
+	}
+
+	for ( let stream of [ ... this.incomingStreams.values() ] ) {
+		stream.destroy( new common.ClosedError( "Closed while streaming" ) ) ;
+	}
+
+	for ( let [ , reassembly ] of this.pendingReassemblies ) {
+		if ( reassembly.nackTimer ) { clearTimeout( reassembly.nackTimer ) ; reassembly.nackTimer = null ; }
+	}
+
+	this.partialReassemblies.clear() ;
+	this.peerReassemblyBytes.clear() ;
+	this.reassemblyBytes = 0 ;
+
+	// Rejecting promises also clear their retry and timeout timers
+	for ( let [ ackId , ack ] of [ ... this.pendingAcks ] ) {
+		this.pendingAcks.delete( ackId ) ;
+		ack.reject( new common.ClosedError( "Closed while waiting for an ack" ) ) ;
+	}
+
+	for ( let [ responseId , responsePromise ] of [ ... this.pendingResponses ] ) {
+		this.pendingResponses.delete( responseId ) ;
+		responsePromise.reject( new common.ClosedError( "Closed while waiting for a response" ) ) ;
+	}
+
+	for ( let [ helloId , helloPromise ] of [ ... this.pendingHellos ] ) {
+		this.pendingHellos.delete( helloId ) ;
+		helloPromise.reject( new common.ClosedError( "Closed while waiting for a hello" ) ) ;
+	}
+
+	if ( ! this.socket ) { return ; }
+
+	var socket = this.socket ,
+		promise = new Promise() ;
+
+	this.socket = null ;
+	socket.close( () => promise.resolve() ) ;
+	log.debug( "Closing the socket" ) ;
+	return promise ;
+} ;
 
 
-UniProtocol.prototype.startClient = function() {
-	if ( this.clientStarted ) { return ; }
-	this.clientStarted = true ;
 
-	this.socket = dgram.createSocket( 'udp4' ) ;
+// Internal
+UniProtocol.prototype.createSocket = function() {
+	var socket = dgram.createSocket( {
+		type: this.ipv6 ? 'udp6' : 'udp4' ,
+		ipv6Only: this.ipv6 && ! this.dualStack ,
+		reuseAddr: this.reuseAddr
+	} ) ;
 
-	this.socket.on( 'error' , error => {
+	socket.on( 'error' , error => {
 		log.error( "Socket error: %E" , error ) ;
 	} ) ;
 
-	this.socket.on( 'message' , ( message , sender ) => {
+	socket.on( 'message' , ( message , sender ) => {
 		this.receive( sender , message ) ;
 	} ) ;
+
+	return socket ;
+} ;
+
+
+
+// Internal, return the address to bind to, or undefined for all addresses
+UniProtocol.prototype.getBindAddress = function() {
+	if ( this.bindAddress ) { return this.bindAddress ; }
+	if ( ! this.bindInterface ) { return ; }
+
+	var family = this.ipv6 ? 'IPv6' : 'IPv4' ,
+		addressList = os.networkInterfaces()[ this.bindInterface ] ,
+		address = addressList?.find( item => item.family === family ) ;
+
+	if ( ! address ) {
+		throw new Error( "Network interface '" + this.bindInterface + "' not found or has no " + family + " address" ) ;
+	}
+
+	// Link-local IPv6 addresses need the scope
+	return address.scopeid ? address.address + '%' + this.bindInterface : address.address ;
+} ;
+
+
+
+// Return the max packet size for this peer (0: no limit), the path MTU if it was discovered
+UniProtocol.prototype.getMaxPacketSize = function( to ) {
+	return this.getPeer( to )?.pmtu || this.getSafeMaxPacketSize( to ) ;
+} ;
+
+
+
+// Internal, the max packet size without path MTU discovery
+UniProtocol.prototype.getSafeMaxPacketSize = function( to ) {
+	return common.isIPv6Address( to ) ? this.maxPacketSizeIPv6 : this.maxPacketSize ;
+} ;
+
+
+
+/*
+	Path MTU discovery: send padded probes ('h' 'pmtu') of increasing size with ack, and stop at the first one lost.
+	The biggest size acked is remembered for this peer, if the first probe is lost, it falls back to the safe default.
+	It can be called again to probe a peer again, e.g. if the route may have changed.
+	Resolve to the max packet size for this peer.
+
+	Note that the OS may still fragment at the IP level if it doesn't set the "don't fragment" bit.
+*/
+UniProtocol.prototype.probePathMtu = async function( to ) {
+	var peer = this.getOrCreatePeer( to ) ,
+		pmtu = this.getSafeMaxPacketSize( to ) ;
+
+	// No limit: nothing to probe
+	if ( ! pmtu || ! peer ) { return pmtu ; }
+	if ( peer.pmtuProbing ) { return this.getMaxPacketSize( to ) ; }
+
+	peer.pmtuProbing = true ;
+	peer.pmtu = null ;
+
+	try {
+		for ( let size of this.pmtuProbeSizes ) {
+			if ( size <= pmtu ) { continue ; }
+
+			try {
+				await this.sendPathMtuProbe( to , size ) ;
+			}
+			catch ( error ) {
+				if ( error instanceof common.ClosedError ) { throw error ; }
+				log.debug( "Path MTU probe of %iB to [%s]:%i lost" , size , to.address , to.port ) ;
+				break ;
+			}
+
+			pmtu = size ;
+		}
+	}
+	finally {
+		peer.pmtuProbing = false ;
+	}
+
+	peer.pmtu = pmtu ;
+	log.debug( "Path MTU of [%s]:%i: %iB" , to.address , to.port , pmtu ) ;
+	return pmtu ;
+} ;
+
+
+
+// Internal, send a probe padded to this packet size, bypassing fragmentation and session
+UniProtocol.prototype.sendPathMtuProbe = function( to , size ) {
+	var message = this.createMessageWithAck( 'h' , 'pmtu' , common.getPseudoRandomUInt32() ) ;
+	this.adaptMessage( to , message ) ;
+	message.setDataBuffer( Buffer.alloc( size - UDP_IP_HEADER_SIZE - MIN_HEADER_SIZE - ( message.checksum ? CHECKSUM_SIZE : 0 ) ) ) ;
+	return this.sendFragment( to , message , 0 , message.encode()[ 0 ] , this.pmtuProbeRetries ) ;
 } ;
 
 
@@ -197,10 +678,10 @@ UniProtocol.prototype.discover = async function( startPort , endPort = startPort
 		}
 	}
 
-	//var responses = await Promise.concurrent( 50 , list , dest => {
-	var responses = await Promise.map( list , dest => {
+	// Don't flood the network, each address has its own congestion control, so only the concurrency limits the scan
+	var responses = await Promise.concurrent( 50 , list , dest => {
 		let message = this.createMessageWithAck( 'h' , 'helo' ) ;
-		return this.send( dest , message ).then( () => dest ).catch( () => null ) ;
+		return this.sendMessage( dest , message ).then( () => dest ).catch( () => null ) ;
 	} ) ;
 
 	return responses.filter( v => v ) ;
@@ -209,12 +690,52 @@ UniProtocol.prototype.discover = async function( startPort , endPort = startPort
 
 
 UniProtocol.prototype.receive = function( sender , buffer ) {
+	sender = common.normalizeAddress( sender ) ;
+	this.receivedPackets ++ ;
+
+	var dropReason = this.rateLimiter.checkPacket( sender ) ;
+
+	if ( dropReason ) {
+		this.dropPacket( sender , dropReason ) ;
+		return ;
+	}
+
 	log.debug( "Received UDP packet of %iB from %s:%i => %n" , buffer.length , sender.address , sender.port , buffer ) ;
-	var message = Message.decode( buffer , sender , this.protocolSignature , this.supportedCommands , this.binaryDataParams ) ;
-	if ( ! message ) { return ; }
+	var message ;
+
+	try {
+		message = Message.decode( buffer , sender , this.protocolSignature , this.supportedCommands , this.binaryDataParams , this.enableSession , this.codecs , this.getThrottledLog( sender ) ) ;
+	}
+	catch ( error ) {
+		if ( error instanceof common.UnsupportedError ) {
+			// Not the sender's fault (e.g. a newer peer), so it is not penalized
+			this.getThrottledLog( sender ).error( "Received unsupported message from [%s]:%i (%s)" , sender.address , sender.port , error.message ) ;
+			this.droppedPackets.unsupported ++ ;
+			return ;
+		}
+
+		if ( ! ( error instanceof common.ChecksumError ) ) { throw error ; }
+		this.receiveCorrupted( sender , error ) ;
+		return ;
+	}
+
+	if ( ! message ) {
+		this.dropPacket( sender , 'malformed' ) ;
+		return ;
+	}
 
 	log.debug( "Received %Y" , message ) ;
 
+	if ( ! message.isAck && ! message.isNack && ! this.rateLimiter.checkCommand( sender , message.type , message.command ) ) {
+		this.dropPacket( sender , 'commandRateLimit' ) ;
+		return ;
+	}
+
+	if ( message.sessionId && message.type !== 's' && ! this.checkSession( message ) ) { return ; }
+
+	// Only a valid message creates a peer, see .receiveFullMessage()
+	if ( this.getPeer( sender ) ) { this.touchPeer( sender , message.version ) ; }
+
 	if ( message.isAck ) {
 		let ackId = message.getAckId() ;
 		let ack = this.pendingAcks.get( ackId ) ;
@@ -226,15 +747,23 @@ UniProtocol.prototype.receive = function( sender , buffer ) {
 			// For instance it's useless.
 			this.pendingAcks.delete( ackId ) ;
 			ack.resolve() ;
+			this.touchPeer( sender , message.version ) ;
+			this.validatePeer( sender ) ;
 		}
 		else {
-			log.error( "Received a not wanted or forgotten ack %s" , ackId ) ;
+			this.getThrottledLog( sender ).error( "Received a not wanted or forgotten ack %s" , ackId ) ;
 		}
 
 		return ;
 	}
 
-	if ( message.wantAck && ! this.ignoreWantedAck ) {
+	if ( message.isNack ) {
+		this.receiveNack( message ) ;
+		return ;
+	}
+
+	// Subscriptions are acked once accepted, see .receiveSubscription()
+	if ( message.wantAck && ! this.ignoreWantedAck && message.type !== 'e' ) {
 		this.sendAckFor( message ) ;
 	}
 
@@ -246,207 +775,2473 @@ UniProtocol.prototype.receive = function( sender , buffer ) {
 	let reassemblyId = message.getReassemblyId() ;
 	let reassembly = this.pendingReassemblies.get( reassemblyId ) ;
 	if ( ! reassembly ) {
-		reassembly = new Array( message.fragments ) ;
-		reassembly.fill( null ) ;
-		this.pendingReassemblies.set( reassemblyId , reassembly ) ;
+		if ( message.fragments > this.maxFragments ) {
+			this.getThrottledLog( sender ).error( "Received bad message from [%s]:%i (too many fragments: %i, max: %i)" , sender.address , sender.port , message.fragments , this.maxFragments ) ;
+			this.dropPacket( sender , 'malformed' ) ;
+
+			// Remember it, so the other fragments are ignored without penalizing the sender again
+			this.pendingReassemblies.set( reassemblyId , { id: reassemblyId , complete: true , discarded: true } ) ;
+			return ;
+		}
+
+		reassembly = this.createReassembly( reassemblyId , message ) ;
+	}
+
+	// Once complete or discarded, the entry is kept for a while, to ignore fragments sent again
+	if ( reassembly.complete ) { return ; }
+
+	if ( ! message.isSameTransmission( reassembly.first ) ) {
+		// The message was encoded again (new session sequence, or encrypted again), fragments of both can't be mixed,
+		// so start again with the newest one, and ignore fragments of the older one
+		if ( message.sessionSequence !== null && reassembly.first.sessionSequence !== null && message.sessionSequence < reassembly.first.sessionSequence ) { return ; }
+		log.debug( "Received fragments of a new transmission of %s, restarting the reassembly" , reassemblyId ) ;
+		this.discardReassembly( reassembly , true ) ;
+		reassembly = this.createReassembly( reassemblyId , message ) ;
+		if ( reassembly.complete ) { return ; }
+	}
+
+	if ( message.fragmentIndex >= reassembly.messages.length ) {
+		this.getThrottledLog( sender ).error( "Received a fragment with index too big (%i/%i, reassembly id: %s)" , message.fragmentIndex , reassembly.messages.length , reassemblyId ) ;
+		return ;
+	}
+
+	if ( reassembly.messages[ message.fragmentIndex ] ) { return ; }
+
+	if ( ! this.checkFragment( reassembly , message ) ) {
+		this.getThrottledLog( sender ).error( "Received bad message from [%s]:%i (fragment %i/%i inconsistent with other fragments, reassembly id: %s)" , sender.address , sender.port , message.fragmentIndex , message.fragments , reassemblyId ) ;
+		this.dropPacket( sender , 'malformed' ) ;
+		return ;
 	}
 
-	if ( message.fragmentIndex >= reassembly.length ) {
-		log.error( "Received a fragment with index too big (%i/%i, reassembly id: %s)" , message.fragmentIndex , reassembly.length , reassemblyId ) ;
+	if ( ! this.reserveReassemblyBytes( reassembly , message.dataBuffer.length ) ) { return ; }
+
+	reassembly.messages[ message.fragmentIndex ] = message ;
+	reassembly.received ++ ;
+	reassembly.lastActivity = Date.now() ;
+
+	// If not all fragments are retrieved, there is nothing to do at the moment, except waiting for a gap to send nacks...
+	if ( reassembly.received < reassembly.messages.length ) {
+		if ( this.enableNack ) { this.scheduleNack( reassembly , message ) ; }
 		return ;
 	}
 
-	reassembly[ message.fragmentIndex ] = message ;
+	reassembly.complete = true ;
+	if ( reassembly.nackTimer ) { clearTimeout( reassembly.nackTimer ) ; reassembly.nackTimer = null ; }
+	this.releaseReassembly( reassembly ) ;
 
-	// If not all fragments are retrieved, there is nothing to do at the moment...
-	if ( ! reassembly.every( v => v ) ) { return ; }
+	let reassembledMessage = Message.reassemble( reassembly.messages ) ;
+	reassembly.messages = reassembly.first = null ;
+
+	if ( ! reassembledMessage.checkDataChecksum() ) {
+		// One fragment was corrupted despite its own checksum (or it had none), there is no way to know which one
+		this.receiveCorrupted( sender , new common.ChecksumError( "Reassembled data checksum mismatch" ) ) ;
+		return ;
+	}
 
-	let reassembledMessage = Message.reassemble( reassembly ) ;
 	this.receiveFullMessage( reassembledMessage ) ;
 } ;
 
 
 
-// Called when the full message is received (after reassembly for fragmented message)
-UniProtocol.prototype.receiveFullMessage = function( message ) {
-	if ( message.type === 'R' ) {
-		let responseId = message.getResponseId() ;
-		//log.hdebug( "Searching response %s" , responseId ) ;
-		let responsePromise = this.pendingResponses.get( responseId ) ;
+// Internal, the array of fragments is accounted too, announcing many fragments is not free
+UniProtocol.prototype.createReassembly = function( reassemblyId , message ) {
+	this.pruneReassemblies() ;
+
+	// Already purged from pendingReassemblies, but not yet pruned
+	var purged = this.partialReassemblies.get( reassemblyId ) ;
+	if ( purged ) { this.discardReassembly( purged , true ) ; }
+
+	var reassembly = {
+		id: reassemblyId ,
+		peerId: common.getAddressId( message.sender ) ,
+		messages: new Array( message.fragments ).fill( null ) ,
+		first: message ,	// the first fragment received, all others must agree with it
+		fragmentSize: 0 ,	// size of all fragments but the last one
+		lastFragmentSize: 0 ,
+		received: 0 ,
+		bytes: 0 ,	// memory accounted for this reassembly
+		complete: false ,
+		discarded: false ,	// discarded before completion, also complete
+		nackTimer: null ,
+		nackRounds: 0 ,
+		lastActivity: Date.now()
+	} ;
+
+	this.pendingReassemblies.set( reassemblyId , reassembly ) ;
+	this.partialReassemblies.set( reassemblyId , reassembly ) ;
+	this.reserveReassemblyBytes( reassembly , message.fragments * REASSEMBLY_SLOT_SIZE ) ;
+
+	return reassembly ;
+} ;
 
-		if ( responsePromise ) {
-			log.debug( "Received response %s" , responseId ) ;
-			this.pendingResponses.delete( responseId ) ;
-			responsePromise.resolve( message ) ;
-		}
-		else {
-			log.error( "Received a not wanted or forgotten response %s" , responseId ) ;
+const REASSEMBLY_SLOT_SIZE = 8 ;
+
+
+
+// Internal, return false if the fragment doesn't agree with the other fragments of the message
+UniProtocol.prototype.checkFragment = function( reassembly , message ) {
+	if ( ! message.isFragmentOf( reassembly.first ) ) { return false ; }
+
+	var size = message.dataBuffer.length ;
+
+	if ( message.fragmentIndex === message.fragments - 1 ) {
+		// The last fragment can be shorter
+		if ( reassembly.fragmentSize && size > reassembly.fragmentSize ) { return false ; }
+		reassembly.lastFragmentSize = size ;
+		return true ;
+	}
+
+	if ( reassembly.fragmentSize ) { return size === reassembly.fragmentSize ; }
+	if ( reassembly.lastFragmentSize > size ) { return false ; }
+	reassembly.fragmentSize = size ;
+	return true ;
+} ;
+
+
+
+// Internal, account memory for a reassembly, discarding the oldest partial reassemblies (of the same peer first) if needed.
+// Return false if the reassembly itself was discarded.
+UniProtocol.prototype.reserveReassemblyBytes = function( reassembly , bytes ) {
+	while ( ! reassembly.discarded && ( this.peerReassemblyBytes.get( reassembly.peerId ) || 0 ) + bytes > this.maxReassemblyBytesPerPeer ) {
+		for ( let oldest of this.partialReassemblies.values() ) {
+			if ( oldest.peerId === reassembly.peerId ) { this.discardReassembly( oldest ) ; break ; }
 		}
 	}
 
-	this.emit( 'message' , message ) ;
-	this.incoming.emit( message.type + message.command , message ) ;
+	while ( ! reassembly.discarded && this.reassemblyBytes + bytes > this.maxReassemblyBytes ) {
+		this.discardReassembly( this.partialReassemblies.values().next().value ) ;
+	}
+
+	if ( reassembly.discarded ) { return false ; }
+
+	reassembly.bytes += bytes ;
+	this.reassemblyBytes += bytes ;
+	this.peerReassemblyBytes.set( reassembly.peerId , ( this.peerReassemblyBytes.get( reassembly.peerId ) || 0 ) + bytes ) ;
+	return true ;
 } ;
 
 
 
-// High-level send of type 'C' (command), manage retries.
-UniProtocol.prototype.sendCommand = async function( to , command , data = undefined , options = null ) {
-	var id = common.getPseudoRandomUInt32() ;
-	var message = this._createMessage( !! options?.ack , 'C' , command , id , data , !! options?.compressed ) ;
-	return this.sendMessage( to , message , options?.retries || 0 ) ;
+// Internal, give back the memory of a reassembly that is no longer partial
+UniProtocol.prototype.releaseReassembly = function( reassembly ) {
+	if ( ! this.partialReassemblies.delete( reassembly.id ) ) { return ; }
+
+	var peerBytes = ( this.peerReassemblyBytes.get( reassembly.peerId ) || 0 ) - reassembly.bytes ;
+	if ( peerBytes > 0 ) { this.peerReassemblyBytes.set( reassembly.peerId , peerBytes ) ; }
+	else { this.peerReassemblyBytes.delete( reassembly.peerId ) ; }
+
+	this.reassemblyBytes -= reassembly.bytes ;
+	reassembly.bytes = 0 ;
 } ;
 
 
 
-// High-level send of type 'H' (hello), manage retries.
-UniProtocol.prototype.sendHello = async function( to , command , data = undefined , options = null ) {
-	var id = common.getPseudoRandomUInt32() ;
-	var message = this._createMessage( !! options?.ack , 'H' , command , id , data , !! options?.compressed ) ;
-	return this.sendMessage( to , message , options?.retries || 0 ) ;
+// Internal, give up a partial reassembly, its entry is kept so fragments still arriving are ignored
+UniProtocol.prototype.discardReassembly = function( reassembly , isExpired = false ) {
+	log.debug( "Discarding %s reassembly %s (%i/%i fragments)" , isExpired ? "expired" : "partial" , reassembly.id , reassembly.received , reassembly.messages.length ) ;
+	this.releaseReassembly( reassembly ) ;
+	reassembly.complete = reassembly.discarded = true ;
+	reassembly.messages = reassembly.first = null ;
+	if ( reassembly.nackTimer ) { clearTimeout( reassembly.nackTimer ) ; reassembly.nackTimer = null ; }
+	if ( ! isExpired ) { this.discardedReassemblies ++ ; }
 } ;
 
 
 
-// High-level send of type 'K' (keep-alive, heartbeat), manage retries.
-// /!\ Maybe there is few difference here, do we need acks and retries? Should the id be incremental or always 0?
-UniProtocol.prototype.sendKeepAlive = async function( to , command , data = undefined , options = null ) {
-	var id = common.getPseudoRandomUInt32() ;
-	var message = this._createMessage( !! options?.ack , 'K' , command , id , data , !! options?.compressed ) ;
-	return this.sendMessage( to , message , options?.retries || 0 ) ;
+// Internal, forget the memory of partial reassemblies that stopped receiving fragments
+UniProtocol.prototype.pruneReassemblies = function() {
+	var now = Date.now() ;
+	if ( now - this.lastReassemblyPrune < this.reassemblyForgetTimeout ) { return ; }
+	this.lastReassemblyPrune = now ;
+
+	for ( let reassembly of [ ... this.partialReassemblies.values() ] ) {
+		if ( now - reassembly.lastActivity > this.reassemblyForgetTimeout ) { this.discardReassembly( reassembly , true ) ; }
+	}
 } ;
 
 
 
-// High-level send of type 'Q' (query), manage retries.
-// While ack may seem useless because Query expect a Response, a fragmented Query may benefit from acks.
-UniProtocol.prototype.sendQuery = async function( to , command , data = undefined , options = null ) {
-	var id = common.getPseudoRandomUInt32() ;
-	var message = this._createMessage( !! options?.ack , 'Q' , command , id , data , !! options?.compressed ) ;
-	await this.sendMessage( to , message , options?.retries || 0 ) ;
+// Internal
+UniProtocol.prototype.receiveCorrupted = function( sender , error ) {
+	this.getThrottledLog( sender ).error( "Received corrupted packet from [%s]:%i (%s)" , sender.address , sender.port , error.message ) ;
+	this.dropPacket( sender , 'corrupted' ) ;
+	this.emit( 'corrupted-packet' , sender , error ) ;
+} ;
 
-	// Response mecanism
 
-	let responseId = message.getResponseId( to ) ;
-	let retries = options?.retries || 0 ;
-	let responsePromise = new Promise() ;
-	let done = false ;
-	let retryTimer = null ;
-	let timeoutTimer = null ;
 
-	//log.hdebug( "Add %s to the pending responses" , responseId ) ;
-	this.pendingResponses.set( responseId , responsePromise ) ;
+// Internal, count the dropped packet (or message) and penalize the sender
+UniProtocol.prototype.dropPacket = function( sender , reason ) {
+	this.droppedPackets[ reason ] ++ ;
 
-	timeoutTimer = setTimeout( () => {
-		responsePromise.reject( new common.TimeoutError( "Response timeout" ) ) ;
-	} , this.responseForgetTimeout ) ;
+	if ( this.rateLimiter.penalize( sender , reason ) ) {
+		log.warning( "Banned [%s] for %ims (too many '%s' packets)" , sender.address , this.rateLimiter.banDuration , reason ) ;
+		this.emit( 'ban' , sender , this.rateLimiter.banDuration ) ;
+	}
+} ;
 
-	responsePromise.finally( () => {
-		if ( timeoutTimer ) { clearTimeout( timeoutTimer ) ; timeoutTimer = null ; }
-	} ) ;
 
-	return responsePromise ;
+
+// Internal, a logger for errors caused by the packets of this sender, throttled so a flood of garbage doesn't flood the logs too
+UniProtocol.prototype.getThrottledLog = function( sender ) {
+	return {
+		error: ( ... args ) => {
+			var suppressed = this.rateLimiter.allowLog( sender ) ;
+			if ( suppressed < 0 ) { return ; }
+			if ( suppressed ) { log.error( "%i errors caused by [%s] were not logged" , suppressed , sender.address ) ; }
+			log.error( ... args ) ;
+		}
+	} ;
 } ;
 
 
 
-// High-level send of type 'R' (or any response's types) for a specific query (or any query's types), manage retries.
-UniProtocol.prototype.sendResponseFor = async function( forMessage , data = undefined , options = null ) {
-	if ( ! Object.hasOwn( RESPONSE_TYPE_FOR , forMessage.type ) ) {
-		throw new Error( "Can't send response for a message of type: '" + forMessage.type + "'." ) ;
-	}
+// Ban an address (the IP, any port) for a while, all its packets are dropped
+UniProtocol.prototype.ban = function( address , duration = this.rateLimiter.banDuration ) {
+	this.rateLimiter.ban( address , duration ) ;
+} ;
 
-	var message = this._createMessage( !! options?.ack , RESPONSE_TYPE_FOR[ forMessage.type ] , forMessage.command , forMessage.id , data , !! options?.compressed ) ;
-	return this.sendMessage( forMessage.sender , message , options?.retries || 0 ) ;
+UniProtocol.prototype.unban = function( address ) {
+	this.rateLimiter.unban( address ) ;
 } ;
 
+UniProtocol.prototype.isBanned = function( address ) {
+	return this.rateLimiter.isBanned( address ) ;
+} ;
 
 
-// Low-level send, manage ack and retries
-UniProtocol.prototype.sendMessage = function( to , message , retries = 0 ) {
-	var buffers = message.encode( this.maxPacketSize - UDP_IP_HEADER_SIZE ) ;
 
-	if ( buffers.length === 1 ) {
-		return this.sendFragment( to , message , 0 , buffers[ 0 ] , retries ) ;
+// Stats for monitoring
+UniProtocol.prototype.getStats = function() {
+	return {
+		receivedPackets: this.receivedPackets ,
+		droppedPackets: Object.assign( {} , this.droppedPackets ) ,
+		peers: this.peers.size ,
+		sessions: this.sessions.size ,
+		reassemblyBytes: this.reassemblyBytes ,	// memory used by partial reassemblies
+		discardedReassemblies: this.discardedReassemblies ,	// partial reassemblies discarded under memory pressure
+		senders: this.rateLimiter.senders.size ,
+		bans: this.rateLimiter.getBans()
+	} ;
+} ;
+
+
+
+// Internal, (re)arm the timer that sends nacks for missing fragments once fragments stop arriving
+UniProtocol.prototype.scheduleNack = function( reassembly , message ) {
+	if ( reassembly.nackTimer ) { clearTimeout( reassembly.nackTimer ) ; }
+
+	reassembly.nackTimer = setTimeout( () => {
+		reassembly.nackTimer = null ;
+		if ( reassembly.complete ) { return ; }
+
+		this.sendNacksFor( reassembly , message ) ;
+		reassembly.nackRounds ++ ;
+
+		if ( reassembly.nackRounds < this.nackMaxRounds ) { this.scheduleNack( reassembly , message ) ; }
+	} , this.nackDelay * ( 2 ** reassembly.nackRounds ) ) ;
+} ;
+
+
+
+// Internal, send one nack per missing fragment
+UniProtocol.prototype.sendNacksFor = function( reassembly , message ) {
+	var count = 0 ;
+
+	for ( let fragmentIndex = 0 ; fragmentIndex < reassembly.messages.length && count < this.nackMaxFragments ; fragmentIndex ++ ) {
+		if ( reassembly.messages[ fragmentIndex ] ) { continue ; }
+
+		let nackMessage = message.toNack( fragmentIndex ) ;
+		this.adaptMessage( message.sender , nackMessage ) ;
+		log.debug( "Sending nack %s" , nackMessage.getAckId( message.sender ) ) ;
+		this.sendBuffer( message.sender , nackMessage.encode()[ 0 ] ) ;
+		count ++ ;
+	}
+} ;
+
+
+
+// Internal, send again the fragment that the peer has not received
+UniProtocol.prototype.receiveNack = function( message ) {
+	var reassemblyId = message.getReassemblyId() ,
+		buffers = message.fragmented && this.sentFragments.get( reassemblyId ) ;
+
+	if ( ! buffers || message.fragmentIndex >= buffers.length ) {
+		log.debug( "Received a nack for a not fragmented or forgotten message %s" , reassemblyId ) ;
+		return ;
+	}
+
+	log.debug( "Received nack %s, sending fragment #%i again" , reassemblyId , message.fragmentIndex ) ;
+	if ( this.congestionControl ) { this.getCongestionController( message.sender ).onLoss() ; }
+	this.queueBuffer( message.sender , buffers[ message.fragmentIndex ] ).catch( error => {
+		log.debug( "Can't send fragment #%i of %s again: %E" , message.fragmentIndex , reassemblyId , error ) ;
+	} ) ;
+} ;
+
+
+
+// Called when the full message is received (after reassembly for fragmented message)
+UniProtocol.prototype.receiveFullMessage = function( message ) {
+	if ( message.type === 's' ) {
+		// Built-in type, not emitted
+		this.touchPeer( message.sender , message.version ) ;
+		this.receiveSessionMessage( message ) ;
+		return ;
+	}
+
+	if ( this.schema && ! this.schema.accepts( message.type , message.command ) ) {
+		log.error( "Received bad message from [%s]:%i (type '%s' for command '%s' not in the schema)" , message.sender.address , message.sender.port , message.type , message.command ) ;
+		return ;
+	}
+
+	if ( ! this.decryptMessage( message ) ) { return ; }
+	if ( message.sessionId && ! this.checkReplay( message ) ) {
+		this.droppedPackets.replay ++ ;
+		return ;
+	}
+
+	if ( message.compressedData && ! this.decompressMessage( message ) ) { return ; }
+
+	this.touchPeer( message.sender , message.version ) ;
+
+	if ( ! this.getPeer( message.sender )?.validated && (
+		( message.sessionId && this.sessions.get( message.sessionId )?.isFrom( message.sender ) )
+		|| ( message.retryToken && common.checkRetryToken( this.retryTokenSecret , message.sender , message.retryToken , this.retryTokenLifetime ) )
+	) ) {
+		this.validatePeer( message.sender ) ;
+	}
+
+	if ( message.type === 'k' ) {
+		// Built-in type, not emitted
+		this.receiveKeepAlive( message ) ;
+		return ;
+	}
+
+	if ( message.type === 'e' ) {
+		// Built-in type, not emitted
+		this.receiveSubscription( message ) ;
+		return ;
+	}
+
+	if ( message.type === 'f' ) {
+		// Built-in type, not emitted
+		this.receiveFrameAck( message ) ;
+		return ;
+	}
+
+	if ( message.type === 'h' ) {
+		// Built-in type, not emitted
+		this.receiveHello( message ) ;
+		return ;
+	}
+
+	if ( message.type === 't' ) {
+		// Built-in type, not emitted, the 'stream' event is emitted instead
+		this.receiveStreamMessage( message ) ;
+		return ;
+	}
+
+	if ( message.id && DEDUP_TYPES.has( message.type ) && this.getPeer( message.sender )?.isDuplicate( message.getAckId() , this.dedupTimeout , this.dedupMaxIds ) ) {
+		// Already acked again, if it wanted one
+		log.debug( "Received message %s again, dropped" , message.getAckId() ) ;
+		this.droppedPackets.duplicate ++ ;
+		return ;
+	}
+
+	this.runMiddlewares( 'incoming' , [ message ] , () => this.dispatchMessage( message ) , error => {
+		if ( error ) { log.error( "Incoming middleware failed on message %s: %E" , message.getAckId() , error ) ; }
+		else { log.debug( "Message %s dropped by an incoming middleware" , message.getAckId() ) ; }
+	} ) ;
+} ;
+
+
+
+// Internal, once the message went through the middlewares
+UniProtocol.prototype.dispatchMessage = function( message ) {
+	if ( message.type === 'F' && ! this.receiveFrame( message ) ) { return ; }
+
+	if ( message.type === 'Q' ) {
+		let responseId = message.getResponseId() ,
+			cache = this.sentResponses.get( responseId ) ;
+
+		if ( cache ) {
+			// The query was sent again, send the same response again, if it's not yet available it will be sent soon
+			if ( cache.response ) {
+				log.debug( "Received query %s again, sending the same response" , responseId ) ;
+				this.sendResponseMessage( message , cache.response ).catch( error => {
+					log.debug( "Can't send the response %s again: %E" , responseId , error ) ;
+				} ) ;
+			}
+
+			return ;
+		}
+
+		this.sentResponses.set( responseId , { response: null } ) ;
+	}
+	else if ( message.type === 'R' ) {
+		let responseId = message.getResponseId() ;
+		//log.hdebug( "Searching response %s" , responseId ) ;
+		let responsePromise = this.pendingResponses.get( responseId ) ;
+
+		if ( responsePromise ) {
+			log.debug( "Received response %s" , responseId ) ;
+			this.pendingResponses.delete( responseId ) ;
+			responsePromise.resolve( message ) ;
+			this.validatePeer( message.sender ) ;
+		}
+		else {
+			log.error( "Received a not wanted or forgotten response %s" , responseId ) ;
+		}
+	}
+	else if ( message.type === 'H' && message.command === 'bbye' ) {
+		// The peer is shutting down, forget it now, so it will not be pinged until it times out
+		let peer = this.getPeer( message.sender ) ;
+		if ( peer ) { this.removePeer( peer , 'bye' ) ; }
+	}
+
+	if ( message.channel !== null ) {
+		this.receiveChannelMessage( message ) ;
+		return ;
+	}
+
+	this.emitMessage( message ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.emitMessage = function( message ) {
+	this.emit( 'message' , message ) ;
+	this.incoming.emit( message.type + message.command , message ) ;
+} ;
+
+
+
+/*
+	Add a middleware, an object having an incoming() and/or an outgoing() method, called for each userland message:
+		incoming( message , next ): for received messages, before anything is done with them (response, frame, channel, events)
+		outgoing( message , to , next ): for messages about to be sent to the address 'to', before the session and encoding
+	Middlewares are called in the order they were added, each one calls next() to pass the message to the next one.
+	It can inspect or transform the message (e.g. .setData()), or reply to it (e.g. .sendResponseFor()).
+	To drop the message, it returns (or the promise it returns resolves) without calling next().
+	An outgoing message dropped, or a middleware throwing, rejects the send with the error (code 'dropped' if dropped).
+*/
+UniProtocol.prototype.use = function( middleware ) {
+	if ( ! middleware || ( typeof middleware.incoming !== 'function' && typeof middleware.outgoing !== 'function' ) ) {
+		throw new Error( ".use(): the middleware should have an incoming() or an outgoing() method" ) ;
+	}
+
+	this.middlewares.push( middleware ) ;
+	return this ;
+} ;
+
+
+
+// Internal, call the 'method' of each middleware, then done(), or stop( error ) if a middleware failed, stop( null ) if dropped
+UniProtocol.prototype.runMiddlewares = function( method , args , done , stop ) {
+	var index = 0 ;
+
+	var next = () => {
+		var middleware = this.middlewares[ index ++ ] ;
+		while ( middleware && typeof middleware[ method ] !== 'function' ) { middleware = this.middlewares[ index ++ ] ; }
+
+		if ( ! middleware ) {
+			done() ;
+			return ;
+		}
+
+		let called = false ,
+			returned ;
+
+		let nextOnce = () => {
+			if ( called ) { return ; }
+			called = true ;
+			next() ;
+		} ;
+
+		try {
+			returned = middleware[ method ]( ... args , nextOnce ) ;
+		}
+		catch ( error ) {
+			// Thrown by the next steps, not by this middleware
+			if ( called ) { throw error ; }
+			called = true ;
+			stop( error ) ;
+			return ;
+		}
+
+		if ( returned && typeof returned.then === 'function' ) {
+			returned.then(
+				() => { if ( ! called ) { called = true ; stop( null ) ; } } ,
+				error => {
+					if ( ! called ) { called = true ; stop( error ) ; }
+					else { log.error( "Middleware failed after calling next(): %E" , error ) ; }
+				}
+			) ;
+		}
+		else if ( ! called ) {
+			called = true ;
+			stop( null ) ;
+		}
+	} ;
+
+	next() ;
+} ;
+
+
+
+// Set the delivery mode of a channel, mode is a key or a value of UniProtocol.DELIVERY
+UniProtocol.prototype.setChannel = function( channel , mode ) {
+	if ( ! Number.isInteger( channel ) || channel < 0 || channel > 255 ) {
+		throw new Error( ".setChannel(): channel must be an integer between 0 and 255" ) ;
+	}
+
+	var delivery = Object.hasOwn( UniProtocol.DELIVERY , mode ) ? UniProtocol.DELIVERY[ mode ] : mode ;
+
+	if ( ! Object.values( UniProtocol.DELIVERY ).includes( delivery ) ) {
+		throw new Error( ".setChannel(): unknown delivery mode: " + mode ) ;
+	}
+
+	this.channelModes.set( channel , delivery ) ;
+} ;
+
+
+
+// Internal, stamp the channel's sequence, reliable delivery modes force the ack
+UniProtocol.prototype.sendOnChannel = async function( to , message , channel , retries ) {
+	var delivery = this.channelModes.get( channel ) ;
+	if ( delivery === undefined ) { throw new Error( "Unknown channel: " + channel ) ; }
+
+	if ( ! this.peerSupports( to , CAPABILITY.channel ) ) {
+		// Downgrade to a message without sequence
+		return this.sendMessage( to , message , retries || 0 ) ;
+	}
+
+	var peer = this.getOrCreatePeer( to ) ;
+	if ( ! peer ) { throw new Error( "Can't send on channel " + channel + ": too many peers" ) ; }
+
+	message.channel = channel ;
+	message.delivery = delivery ;
+	message.sequence = peer.nextSequence( channel ) ;
+
+	if ( delivery >= DELIVERY_RELIABLE_UNORDERED ) {
+		message.wantAck = true ;
+		// By default, send again until the ack is forgotten
+		retries = retries ?? Math.floor( this.ackForgetTimeout / this.ackResendTimeout ) ;
+	}
+
+	return this.sendMessage( to , message , retries || 0 ) ;
+} ;
+
+
+
+// Internal, deliver the message according to the delivery mode of its channel
+UniProtocol.prototype.receiveChannelMessage = function( message ) {
+	var peer = this.getPeer( message.sender ) ;
+
+	if ( ! peer ) {
+		log.error( "Received message on channel %i from [%s]:%i, but there are too many peers" , message.channel , message.sender.address , message.sender.port ) ;
+		return ;
+	}
+
+	var sequence = message.sequence ,
+		state = peer.getChannel( message.channel ) ,
+		now = Date.now() ;
+
+	// Sequence 1 after a long silence: the sender has restarted, late duplicates would come sooner
+	if ( sequence === 1 && state.highest > 1 && now - state.lastReceived > 2 * this.ackForgetTimeout ) {
+		peer.resetChannel( message.channel ) ;
+		state = peer.getChannel( message.channel ) ;
+	}
+
+	state.lastReceived = now ;
+
+	switch ( message.delivery ) {
+		case DELIVERY_UNRELIABLE :
+			break ;
+
+		case DELIVERY_UNRELIABLE_SEQUENCED :
+			if ( sequence <= state.highest ) {
+				log.debug( "Dropped out of sequence message #%i on channel %i (last: #%i)" , sequence , message.channel , state.highest ) ;
+				return ;
+			}
+
+			break ;
+
+		case DELIVERY_RELIABLE_UNORDERED :
+			if ( sequence < state.expected || state.received.has( sequence ) ) { return ; }
+
+			state.received.add( sequence ) ;
+
+			// Too many messages missing, forget about them
+			if ( state.received.size > this.channelMaxBuffer ) { state.expected = Math.min( ... state.received ) ; }
+
+			while ( state.received.delete( state.expected ) ) { state.expected ++ ; }
+			break ;
+
+		case DELIVERY_RELIABLE_ORDERED :
+			if ( sequence < state.expected || state.buffer.has( sequence ) ) { return ; }
+
+			if ( sequence > state.expected ) {
+				// Hold it until the gap is filled
+				state.buffer.set( sequence , message ) ;
+				if ( sequence > state.highest ) { state.highest = sequence ; }
+
+				if ( state.buffer.size > this.channelMaxBuffer ) { this.skipChannelGap( state ) ; }
+				else if ( ! state.gapTimer ) { state.gapTimer = setTimeout( () => this.skipChannelGap( state ) , this.channelGapTimeout ) ; }
+
+				return ;
+			}
+
+			state.expected ++ ;
+			if ( sequence > state.highest ) { state.highest = sequence ; }
+			this.emitMessage( message ) ;
+			this.flushChannel( state ) ;
+			return ;
+	}
+
+	if ( sequence > state.highest ) { state.highest = sequence ; }
+	this.emitMessage( message ) ;
+} ;
+
+
+
+// Internal, reliable-ordered: deliver held messages that are now in order
+UniProtocol.prototype.flushChannel = function( state ) {
+	var message ;
+
+	while ( ( message = state.buffer.get( state.expected ) ) ) {
+		state.buffer.delete( state.expected ) ;
+		state.expected ++ ;
+		this.emitMessage( message ) ;
+	}
+
+	if ( state.gapTimer ) { clearTimeout( state.gapTimer ) ; state.gapTimer = null ; }
+
+	if ( state.buffer.size ) {
+		state.gapTimer = setTimeout( () => this.skipChannelGap( state ) , this.channelGapTimeout ) ;
+	}
+} ;
+
+
+
+// Internal, reliable-ordered: missing messages were not received in time, give up on them and deliver what's next
+UniProtocol.prototype.skipChannelGap = function( state ) {
+	if ( state.gapTimer ) { clearTimeout( state.gapTimer ) ; state.gapTimer = null ; }
+	if ( ! state.buffer.size ) { return ; }
+
+	var next = Math.min( ... state.buffer.keys() ) ;
+	log.debug( "Channel gap: skipping %i missing message(s)" , next - state.expected ) ;
+	state.expected = next ;
+	this.flushChannel( state ) ;
+} ;
+
+
+
+// High-level send of type 'C' (command), manage retries, options.channel: send it on this channel.
+UniProtocol.prototype.sendCommand = async function( to , command , data = undefined , options = null ) {
+	var id = common.getPseudoRandomUInt32() ;
+	var message = this._createMessage( !! options?.ack , 'C' , command , id , data , options?.compressed , options?.codec ) ;
+	if ( options?.channel !== undefined ) { return this.sendOnChannel( to , message , options.channel , options.retries ) ; }
+	return this.sendMessage( to , message , options?.retries || 0 ) ;
+} ;
+
+
+
+// High-level send of type 'E' (event), manage retries, options.channel: send it on this channel.
+UniProtocol.prototype.sendEvent = async function( to , command , data = undefined , options = null ) {
+	var id = common.getPseudoRandomUInt32() ;
+	var message = this._createMessage( !! options?.ack , 'E' , command , id , data , options?.compressed , options?.codec ) ;
+	if ( options?.channel !== undefined ) { return this.sendOnChannel( to , message , options.channel , options.retries ) ; }
+	return this.sendMessage( to , message , options?.retries || 0 ) ;
+} ;
+
+
+
+// High-level send of type 'H' (hello), manage retries.
+UniProtocol.prototype.sendHello = async function( to , command , data = undefined , options = null ) {
+	var id = common.getPseudoRandomUInt32() ;
+	var message = this._createMessage( !! options?.ack , 'H' , command , id , data , options?.compressed , options?.codec ) ;
+	return this.sendMessage( to , message , options?.retries || 0 ) ;
+} ;
+
+
+
+// High-level send of type 'K' (keep-alive, heartbeat), manage retries.
+// /!\ Maybe there is few difference here, do we need acks and retries? Should the id be incremental or always 0?
+UniProtocol.prototype.sendKeepAlive = async function( to , command , data = undefined , options = null ) {
+	var id = common.getPseudoRandomUInt32() ;
+	var message = this._createMessage( !! options?.ack , 'K' , command , id , data , options?.compressed , options?.codec ) ;
+	return this.sendMessage( to , message , options?.retries || 0 ) ;
+} ;
+
+
+
+/*
+	High-level send of type 'Q' (query), manage retries.
+	While ack may seem useless because Query expect a Response, a fragmented Query may benefit from acks.
+
+	Options:
+		retries: how many times the query is sent again if no response is received
+		ackRetries: with ack, how many times each packet of an attempt is sent again if not acked (default: 0)
+		timeout: the whole time allowed to the query (default to .responseForgetTimeout), it is split between attempts
+		backoff: the multiplier of the waiting time between two attempts (default: 2)
+		jitter: random variation of the waiting time, in ratio (default: 0.2)
+		ack, compressed, codec: see ._createMessage()
+*/
+UniProtocol.prototype.sendQuery = async function( to , command , data = undefined , options = null ) {
+	var id = common.getPseudoRandomUInt32() ;
+	var message = this._createMessage( !! options?.ack , 'Q' , command , id , data , options?.compressed , options?.codec ) ;
+
+	// Response mecanism
+
+	let responseId = message.getResponseId( to ) ;
+	let retries = options?.retries || 0 ;
+	let ackRetries = options?.ackRetries || 0 ;
+	let timeout = options?.timeout || this.responseForgetTimeout ;
+	let backoff = options?.backoff || 2 ;
+	let jitter = options?.jitter ?? 0.2 ;
+	let attempt = 0 ;
+	let elapsed = 0 ;
+	let sentAt = 0 ;
+	let responsePromise = new Promise() ;
+	let done = false ;
+	let retryTimer = null ;
+	let rto = this.adaptiveResend && this.getPeer( to )?.rto ;
+	let delay ;
+
+	if ( rto ) {
+		// Send again after the peer's RTO, the last attempt waits until the timeout
+		delay = this.getResendTimeout( to ) ;
+		let sum = backoff === 1 ? delay * ( retries + 1 ) : delay * ( backoff ** ( retries + 1 ) - 1 ) / ( backoff - 1 ) ;
+		if ( ! options?.timeout ) { timeout = Math.max( timeout , sum ) ; }
+	}
+	else {
+		// The first waiting time is chosen so the sum of all waiting times is the timeout
+		delay = backoff === 1 ? timeout / ( retries + 1 ) : timeout * ( backoff - 1 ) / ( backoff ** ( retries + 1 ) - 1 ) ;
+	}
+
+	let sendFn = () => {
+		retryTimer = null ;
+		if ( done ) { return ; }
+
+		sentAt = Date.now() ;
+
+		let promise ;
+
+		try {
+			promise = this.sendMessage( to , message , ackRetries ) ;
+		}
+		catch ( error ) {
+			// It can't be encoded, sending it again would throw again
+			log.debug( "Query %s attempt #%i failed: %E" , responseId , attempt , error ) ;
+			this.pendingResponses.delete( responseId ) ;
+			responsePromise.reject( error ) ;
+			return ;
+		}
+
+		promise.catch( error => {
+			log.debug( "Query %s attempt #%i failed: %E" , responseId , attempt , error ) ;
+
+			if ( ( error.code === 'dropped' || error.code === 'tooBig' ) && ! done ) {
+				// Sending it again would fail again
+				this.pendingResponses.delete( responseId ) ;
+				responsePromise.reject( error ) ;
+			}
+		} ) ;
+
+		let waitTime = delay * ( backoff ** attempt ) * ( 1 + jitter * ( 2 * Math.random() - 1 ) ) ;
+		attempt ++ ;
+
+		if ( attempt <= retries ) {
+			elapsed += waitTime ;
+			retryTimer = setTimeout( sendFn , waitTime ) ;
+		}
+		else {
+			retryTimer = setTimeout( () => {
+				retryTimer = null ;
+				this.pendingResponses.delete( responseId ) ;
+				responsePromise.reject( new common.TimeoutError( "Response timeout" ) ) ;
+			} , Math.max( waitTime , timeout - elapsed ) ) ;
+		}
+	} ;
+
+	// Called when the peer sent a retry token instead of the response, only once, a peer could reject any token
+	responsePromise.sendAgain = () => {
+		if ( done || responsePromise.sentAgain ) { return ; }
+		responsePromise.sentAgain = true ;
+		Promise.resolve().then( () => this.sendMessage( to , message , ackRetries ) ).catch( error => {
+			log.debug( "Query %s with the retry token failed: %E" , responseId , error ) ;
+		} ) ;
+	} ;
+
+	responsePromise.finally( () => {
+		done = true ;
+		if ( retryTimer ) { clearTimeout( retryTimer ) ; retryTimer = null ; }
+		if ( this.pendingResponses.get( responseId ) === responsePromise ) { this.pendingResponses.delete( responseId ) ; }
+	} ) ;
+
+	// Like acks, the RTT can only be measured if the query was sent once
+	responsePromise.then( () => {
+		if ( attempt === 1 ) { this.getPeer( to )?.addRttSample( Date.now() - sentAt ) ; }
+	} , () => undefined ) ;
+
+	this.pendingResponses.set( responseId , responsePromise ) ;
+	sendFn() ;
+
+	return responsePromise ;
+} ;
+
+
+
+// High-level send of type 'R' (or any response's types) for a specific query (or any query's types), manage retries.
+UniProtocol.prototype.sendResponseFor = async function( forMessage , data = undefined , options = null ) {
+	if ( ! Object.hasOwn( RESPONSE_TYPE_FOR , forMessage.type ) ) {
+		throw new Error( "Can't send response for a message of type: '" + forMessage.type + "'." ) ;
+	}
+
+	var message = this._createMessage( !! options?.ack , RESPONSE_TYPE_FOR[ forMessage.type ] , forMessage.command , forMessage.id , data , options?.compressed , options?.codec ) ;
+
+	// Keep it, in case the query is sent again
+	var cache = this.sentResponses.get( forMessage.getResponseId() ) ;
+	if ( cache ) { cache.response = message ; }
+
+	return this.sendResponseMessage( forMessage , message , options?.retries || 0 ) ;
+} ;
+
+
+
+// Send an error response for a specific query, the error is serialized without any data model
+UniProtocol.prototype.sendErrorFor = async function( forMessage , error , options = null ) {
+	if ( ! Object.hasOwn( RESPONSE_TYPE_FOR , forMessage.type ) ) {
+		throw new Error( "Can't send error for a message of type: '" + forMessage.type + "'." ) ;
+	}
+
+	var data = {
+		name: error?.name || 'Error' ,
+		message: error?.message ?? String( error ) ,
+		code: error?.code || null
+	} ;
+
+	var message = this._createMessage( !! options?.ack , RESPONSE_TYPE_FOR[ forMessage.type ] , forMessage.command , forMessage.id ) ;
+	message.isError = true ;
+	message.setData( data ) ;
+
+	var cache = this.sentResponses.get( forMessage.getResponseId() ) ;
+	if ( cache ) { cache.response = message ; }
+
+	return this.sendResponseMessage( forMessage , message , options?.retries || 0 ) ;
+} ;
+
+
+
+// Internal, send the response, unless it would amplify a query from an unvalidated address, then send a retry token instead
+UniProtocol.prototype.sendResponseMessage = function( forMessage , message , retries = 0 ) {
+	if ( this.amplificationRatio && ! this.isAddressValidated( forMessage ) ) {
+		let size = MIN_HEADER_SIZE + ( message.hasData() ? message.encodeData()?.length || 0 : 0 ) ;
+
+		if ( size > forMessage.wireSize * this.amplificationRatio ) {
+			log.debug( "Response of %iB for a query of %iB from unvalidated [%s]:%i, sending a retry token" , size , forMessage.wireSize , forMessage.sender.address , forMessage.sender.port ) ;
+			return this.sendRetryToken( forMessage ) ;
+		}
+	}
+
+	return this.sendMessage( forMessage.sender , message , retries ) ;
+} ;
+
+
+
+// Internal, the address of a query is validated if it is part of a session, or if it has a retry token we have created for it
+UniProtocol.prototype.isAddressValidated = function( message ) {
+	if ( message.sessionId && this.sessions.has( message.sessionId ) ) { return true ; }
+	return common.checkRetryToken( this.retryTokenSecret , message.sender , message.retryToken , this.retryTokenLifetime ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.sendRetryToken = function( forMessage ) {
+	var message = this._createMessage( false , 'h' , 'rtry' , forMessage.id ) ;
+	message.setDataBuffer( Buffer.concat( [ common.createRetryToken( this.retryTokenSecret , forMessage.sender ) , Buffer.from( forMessage.command , 'ascii' ) ] ) ) ;
+
+	var size = MIN_HEADER_SIZE + message.dataBuffer.length ;
+
+	if ( this.amplificationRatio && size > forMessage.wireSize * this.amplificationRatio ) {
+		log.debug( "Query of %iB from unvalidated [%s]:%i is too small even for a retry token of %iB, not answered" , forMessage.wireSize , forMessage.sender.address , forMessage.sender.port , size ) ;
+		return Promise.resolve() ;
+	}
+
+	return this.sendMessage( forMessage.sender , message ) ;
+} ;
+
+
+
+// Internal, the response (or the session handshake reply) was replaced by a retry token, keep it and send the query again with it
+UniProtocol.prototype.receiveRetryToken = function( message ) {
+	if ( ! message.dataBuffer || message.dataBuffer.length !== common.RETRY_TOKEN_SIZE + 4 ) {
+		log.error( "Received bad message from [%s]:%i (bad retry token)" , message.sender.address , message.sender.port ) ;
+		return ;
+	}
+
+	var peer = this.getPeer( message.sender ) ,
+		command = message.dataBuffer.toString( 'ascii' , common.RETRY_TOKEN_SIZE ) ,
+		responseIdPrefix = common.getAddressId( message.sender ) + ':' ,
+		responsePromise = this.pendingResponses.get( responseIdPrefix + 'R' + command + message.id ) || this.pendingResponses.get( responseIdPrefix + 's' + command + message.id ) ;
+
+	if ( peer ) { peer.retryToken = Buffer.from( message.dataBuffer.subarray( 0 , common.RETRY_TOKEN_SIZE ) ) ; }
+	if ( responsePromise?.sendAgain ) { responsePromise.sendAgain() ; }
+
+	// A subscription, not acked yet: send the same message again with the token, its ack is still pending.
+	// Only once, if the token is refused it would loop.
+	var subscription = this.subscriptions.get( responseIdPrefix + command ) ;
+
+	if ( peer && subscription?.message?.id === message.id && ! subscription.message.retryToken ) {
+		subscription.message.retryToken = peer.retryToken ;
+		this.queueBuffer( subscription.address , subscription.message.encode()[ 0 ] ).catch( error => {
+			log.debug( "Can't send the subscription to channel '%s' again: %E" , subscription.channel , error ) ;
+		} ) ;
+	}
+} ;
+
+
+
+/*
+	Declare the data models of a command, for both the query and the response, used by handle() and call().
+	Both ends should declare the same models.
+	options:
+		request: binaryDataParams for the query ('Q' + command)
+		response: binaryDataParams for the response ('R' + command)
+*/
+UniProtocol.prototype.declareCommand = function( command , options ) {
+	if ( ! options?.request && ! options?.response ) { return ; }
+
+	if ( ! this.binaryDataParams ) { this.binaryDataParams = {} ; }
+	if ( ! this.binaryDataParams.perCommand ) { this.binaryDataParams.perCommand = {} ; }
+
+	if ( options.request ) { this.binaryDataParams.perCommand[ 'Q' + command ] = options.request ; }
+	if ( options.response ) { this.binaryDataParams.perCommand[ 'R' + command ] = options.response ; }
+} ;
+
+
+
+/*
+	RPC: register a handler for a query command, the result of the handler (can be async) is sent as the response.
+	If the handler throws, an error response is sent instead, and the caller rejects with a RemoteError.
+	handler( data , context ), context: { message , sender , peer , session }
+	options: the same than .declareCommand(), plus:
+		compressed, codec: compression of the response
+*/
+UniProtocol.prototype.handle = function( command , handler , options = null ) {
+	if ( typeof command !== 'string' || command.length !== 4 ) {
+		throw new Error( ".handle(): command argument must be a string of length 4" ) ;
+	}
+
+	if ( this.rpcHandlers.has( command ) ) {
+		throw new Error( ".handle(): there is already a handler for command '" + command + "'" ) ;
+	}
+
+	this.declareCommand( command , options ) ;
+
+	var listener = message => this.runHandler( message , handler , options ) ;
+	this.rpcHandlers.set( command , listener ) ;
+	this.incoming.on( 'Q' + command , listener ) ;
+} ;
+
+
+
+// Remove a RPC handler
+UniProtocol.prototype.unhandle = function( command ) {
+	var listener = this.rpcHandlers.get( command ) ;
+	if ( ! listener ) { return ; }
+
+	this.rpcHandlers.delete( command ) ;
+	this.incoming.off( 'Q' + command , listener ) ;
+} ;
+
+
+
+// Internal, it never rejects: it's called by an event listener
+UniProtocol.prototype.runHandler = async function( message , handler , options ) {
+	var data , result ;
+
+	var context = {
+		message ,
+		sender: message.sender ,
+		peer: this.getPeer( message.sender ) ,
+		session: message.sessionId ? this.sessions.get( message.sessionId ) : null
+	} ;
+
+	try {
+		try {
+			data = message.decodeData() ;
+		}
+		catch ( error ) {
+			log.debug( "Can't decode query %s: %E" , message.getResponseId() , error ) ;
+		}
+
+		if ( message.dataBuffer && ! message.decoded ) {
+			await this.sendErrorFor( message , { name: 'DecodeError' , message: "Can't decode the query's data" , code: 'decodeError' } ) ;
+			return ;
+		}
+
+		try {
+			result = await handler( data , context ) ;
+		}
+		catch ( error ) {
+			log.debug( "Handler for query %s failed: %E" , message.getResponseId() , error ) ;
+			await this.sendErrorFor( message , error ) ;
+			return ;
+		}
+
+		await this.sendResponseFor( message , result , options ) ;
+	}
+	catch ( error ) {
+		// E.g. closed, ack timeout, dropped by a middleware, or the handler returned data not matching the schema
+		this.getThrottledLog( message.sender ).error( "Can't send the response of query %s: %E" , message.getResponseId() , error ) ;
+	}
+} ;
+
+
+
+/*
+	RPC: send a query and return the response's data, or reject with a RemoteError if the handler failed.
+	Options are the same than .sendQuery().
+*/
+UniProtocol.prototype.call = async function( to , command , data = undefined , options = null ) {
+	var response = await this.sendQuery( to , command , data , options ) ,
+		responseData = response.decodeData() ;
+
+	if ( response.isError ) {
+		throw new common.RemoteError( responseData?.message || "Unknown remote error" , responseData?.code , responseData?.name ) ;
+	}
+
+	return responseData ;
+} ;
+
+
+
+// Low-level send, manage ack and retries
+UniProtocol.prototype.sendMessage = function( to , message , retries = 0 ) {
+	if ( this.closed ) {
+		return Promise.reject( new common.ClosedError( "Can't send message: closed" ) ) ;
+	}
+
+	if ( this.middlewares.length && ! message.passedMiddlewares && USERLAND_TYPES.has( message.type ) ) {
+		let promise = new Promise() ;
+
+		this.runMiddlewares( 'outgoing' , [ message , to ] , () => {
+			message.passedMiddlewares = true ;
+			this.sendMessage( to , message , retries ).then( value => promise.resolve( value ) , error => promise.reject( error ) ) ;
+		} , error => promise.reject( error || new common.DroppedError( "Message dropped by an outgoing middleware" ) ) ) ;
+
+		return promise ;
+	}
+
+	if ( this.enableSession && ! message.sessionId && ! message.isAck && ! message.isNack ) {
+		let session = this.getSession( to ) ;
+
+		if ( session ) {
+			message.sessionId = session.id ;
+			session.touch() ;
+
+			if ( session.isEncrypted() && message.hasData() ) {
+				message.encryptedData = true ;
+				message.encryptionKey = session.encryptionKey ;
+			}
+		}
+	}
+
+	if ( message.type === 'Q' || message.type === 'e' || ( message.type === 's' && message.command === 'open' && ! message.sessionId ) ) {
+		message.retryToken = this.getPeer( to )?.retryToken || null ;
+	}
+
+	if ( message.sessionId && message.type !== 's' ) {
+		// A new sequence each time it is sent, so a message sent again on purpose (e.g. a query) is not a replay,
+		// while fragments sent again because they were not acked are
+		let session = this.sessions.get( message.sessionId ) ;
+		message.sessionSequence = session && this.replayProtection && this.peerSupports( to , CAPABILITY.replay ) ? session.nextSequence() : null ;
+	}
+
+	this.adaptMessage( to , message ) ;
+
+	// Before the data is compressed or encrypted: the receiver checks it once decompressed
+	var size = ! message.hasData() ? 0 : message.encoded ? message.dataBuffer.length : message.serializeData()?.length || 0 ;
+
+	if ( size > this.maxMessageSize ) {
+		return Promise.reject( new common.TooBigError( "Message too big: " + size + "B (max: " + this.maxMessageSize + "B), send it as a stream" ) ) ;
+	}
+
+	if ( message.compression && ! message.encoded && message.hasData() && message.serializeData()?.length >= this.asyncCompressionThreshold ) {
+		// Big payload: compress it without blocking the event loop, then send it
+		return message.encodeDataAsync( this.asyncCompressionThreshold ).then( () => this.sendMessage( to , message , retries ) ) ;
+	}
+
+	var buffers = message.encode( this.getMaxPacketSize( to ) - UDP_IP_HEADER_SIZE ) ;
+
+	if ( buffers.length > this.maxFragments ) {
+		return Promise.reject( new common.TooBigError( "Message too big: " + buffers.length + " fragments (max: " + this.maxFragments + "), send it as a stream or use bigger packets" ) ) ;
+	}
+
+	if ( buffers.length === 1 ) {
+		return this.sendFragment( to , message , 0 , buffers[ 0 ] , retries ) ;
 	}
 
 	log.hdebug( "Fragmented! %i" , buffers.length ) ;
+	if ( this.enableNack ) { this.sentFragments.set( message.getReassemblyId( to ) , buffers ) ; }
 	return Promise.map( buffers , ( buffer , fragmentIndex ) => this.sendFragment( to , message , fragmentIndex , buffer , retries ) ) ;
 } ;
 
 
 
-// Internal
-UniProtocol.prototype.sendFragment = async function( to , message , fragmentIndex , buffer , retries = 0 ) {
-	await this.sendBuffer( to , buffer ) ;
+// Internal
+UniProtocol.prototype.sendFragment = async function( to , message , fragmentIndex , buffer , retries = 0 ) {
+	await this.queueBuffer( to , buffer ) ;
+
+	if ( ! message.wantAck ) { return ; }
+	if ( this.closed ) { throw new common.ClosedError( "Closed before the ack was received" ) ; }
+
+	// Ack mecanism
+
+	let ackId = message.getAckId( to , fragmentIndex ) ;
+	let ack = new Promise() ;
+	let done = false ;
+	let retryTimer = null ;
+	let timeoutTimer = null ;
+	let sentAt = Date.now() ;
+	let sentAgain = false ;
+	let congestion = this.congestionControl ? this.getCongestionController( to ) : null ;
+	let resendTimeout = this.getResendTimeout( to ) ;
+	let ackTimeout = this.ackForgetTimeout ;
+
+	if ( resendTimeout !== this.ackResendTimeout ) {
+		// Adaptive: the resend timeout doubles each time, wait for the last one before giving up
+		ackTimeout = Math.max( ackTimeout , resendTimeout * ( 2 ** ( retries + 1 ) - 1 ) ) ;
+	}
+
+	this.pendingAcks.set( ackId , ack ) ;
+
+	if ( retries ) {
+		let retryFn = async () => {
+			retryTimer = null ;
+			if ( done ) { return ; }
+			sentAgain = true ;
+			congestion?.onLoss() ;
+
+			try {
+				await this.queueBuffer( to , buffer ) ;
+			}
+			catch ( error ) {
+				// E.g. closed while it was queued
+				ack.reject( error ) ;
+				return ;
+			}
+
+			retries -- ;
+
+			if ( retries > 0 && ! done ) {
+				if ( resendTimeout !== this.ackResendTimeout ) { resendTimeout = Math.min( this.maxResendTimeout , resendTimeout * 2 ) ; }
+				retryTimer = setTimeout( retryFn , resendTimeout ) ;
+			}
+		} ;
+
+		retryTimer = setTimeout( retryFn , resendTimeout ) ;
+	}
+
+	timeoutTimer = setTimeout( () => {
+		ack.reject( new common.TimeoutError( "Ack timeout" ) ) ;
+	} , ackTimeout ) ;
+
+	ack.finally( () => {
+		done = true ;
+		if ( retryTimer ) { clearTimeout( retryTimer ) ; retryTimer = null ; }
+		if ( timeoutTimer ) { clearTimeout( timeoutTimer ) ; timeoutTimer = null ; }
+		if ( this.pendingAcks.get( ackId ) === ack ) { this.pendingAcks.delete( ackId ) ; }
+	} ) ;
+
+	// The RTT can't be measured if the packet was sent again: we don't know which one was acked (Karn's algorithm)
+	ack.then(
+		() => {
+			let rtt = sentAgain ? null : Date.now() - sentAt ;
+			if ( rtt !== null ) { this.getPeer( to )?.addRttSample( rtt ) ; }
+			congestion?.onAck( rtt ) ;
+		} ,
+		error => { if ( congestion && ! ( error instanceof common.ClosedError ) ) { congestion.onLoss() ; } }
+	) ;
+
+	return ack ;
+} ;
+
+
+
+// Internal, return the resend timeout for this peer: its RTO if it's known, else the default one
+UniProtocol.prototype.getResendTimeout = function( to ) {
+	var rto = this.adaptiveResend && this.getPeer( to )?.rto ;
+	if ( ! rto ) { return this.ackResendTimeout ; }
+	return Math.round( Math.max( this.minResendTimeout , Math.min( this.maxResendTimeout , rto ) ) ) ;
+} ;
+
+
+
+// Return the round-trip time estimation and the send rate of a peer (Peer or address), or null if it's unknown
+UniProtocol.prototype.getPeerStats = function( peer ) {
+	if ( ! ( peer instanceof Peer ) ) { peer = this.getPeer( peer ) ; }
+	if ( ! peer ) { return null ; }
+
+	return {
+		id: peer.id ,
+		lastSeen: peer.lastSeen ,
+		rtt: peer.rtt ,
+		srtt: peer.srtt ,
+		rttvar: peer.rttvar ,
+		rto: peer.rto ,
+		resendTimeout: this.getResendTimeout( peer.address ) ,
+		maxPacketSize: this.getMaxPacketSize( peer.address ) ,
+		sendRate: peer.congestion?.rate ?? null
+	} ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.getCongestionController = function( to ) {
+	var peer = this.getPeer( to ) ;
+	if ( peer?.congestion ) { return peer.congestion ; }
+
+	var id = common.getAddressId( to ) ,
+		congestion = this.unknownPeerCongestions.get( id ) ;
+
+	if ( ! congestion ) {
+		congestion = new CongestionController( this.congestionParams ) ;
+		if ( ! peer ) { this.unknownPeerCongestions.set( id , congestion ) ; }
+	}
+
+	if ( peer ) {
+		this.unknownPeerCongestions.delete( id ) ;
+		peer.congestion = congestion ;
+	}
+
+	return congestion ;
+} ;
+
+
+
+// Internal, send the buffer once the congestion control and the bandwidth limit allow it
+UniProtocol.prototype.queueBuffer = function( to , buffer ) {
+	if ( ! this.congestionControl && ! this.bandwidthBucket ) { return this.sendBuffer( to , buffer ) ; }
+
+	var promise = new Promise() ;
+
+	this.sendQueue.push( {
+		to ,
+		buffer ,
+		promise ,
+		congestion: this.congestionControl ? this.getCongestionController( to ) : null
+	} ) ;
+
+	// If the timer is set, the queue is waiting for tokens anyway
+	if ( ! this.sendQueueTimer ) { this.processSendQueue() ; }
+
+	return promise ;
+} ;
+
+
+
+// Internal, send everything that can be sent now, and wait for the rest
+UniProtocol.prototype.processSendQueue = function() {
+	var queue = this.sendQueue ,
+		waitTime = Infinity ,
+		blocked = new Set() ;
+
+	this.sendQueueTimer = null ;
+	this.sendQueue = [] ;
+
+	for ( let index = 0 ; index < queue.length ; index ++ ) {
+		let item = queue[ index ] ,
+			size = item.buffer.length ;
+
+		// Preserve the order of packets of the same peer
+		if ( item.congestion && blocked.has( item.congestion ) ) {
+			this.sendQueue.push( item ) ;
+			continue ;
+		}
+
+		let globalWaitTime = this.bandwidthBucket ? this.bandwidthBucket.getWaitTime( size ) : 0 ;
+
+		if ( globalWaitTime ) {
+			waitTime = Math.min( waitTime , globalWaitTime ) ;
+			this.sendQueue.push( ... queue.slice( index ) ) ;
+			break ;
+		}
+
+		let peerWaitTime = item.congestion ? item.congestion.getWaitTime( size ) : 0 ;
+
+		if ( peerWaitTime ) {
+			waitTime = Math.min( waitTime , peerWaitTime ) ;
+			blocked.add( item.congestion ) ;
+			this.sendQueue.push( item ) ;
+			continue ;
+		}
+
+		if ( this.bandwidthBucket ) { this.bandwidthBucket.take( size ) ; }
+		if ( item.congestion ) { item.congestion.take( size ) ; }
+		this.sendBuffer( item.to , item.buffer ).then( () => item.promise.resolve() ) ;
+	}
+
+	if ( this.sendQueue.length ) {
+		this.sendQueueTimer = setTimeout( () => this.processSendQueue() , waitTime ) ;
+	}
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.sendAckFor = function( message ) {
+	var ackMessage = message.toAck() ;
+	this.adaptMessage( message.sender , ackMessage ) ;
+
+	// The peer may not be known yet, but it understands the version it used
+	if ( message.version < ackMessage.version ) {
+		ackMessage.version = message.version ;
+		if ( ! message.version ) { ackMessage.checksum = false ; }
+	}
+	log.debug( "Sending ack %s" , ackMessage.getAckId( message.sender ) ) ;
+	var buffers = ackMessage.encode() ;
+	this.sendBuffer( message.sender , buffers[ 0 ] ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.sendBuffer = function( to , buffer ) {
+	var promise = new Promise() ,
+		address = to.address ;
+
+	if ( ! this.socket ) {
+		if ( this.closed ) {
+			log.debug( "Can't send buffer to [%s]:%i: closed" , to.address , to.port ) ;
+			promise.resolve() ;
+			return promise ;
+		}
+
+		// Not started yet, the socket buffers sends until it is bound
+		this.startClient() ;
+
+		if ( ! this.socket ) {
+			log.debug( "Can't send buffer to [%s]:%i: the socket can't be started" , to.address , to.port ) ;
+			promise.resolve() ;
+			return promise ;
+		}
+	}
+
+	// An IPv6 socket can only send to IPv4 using an IPv4-mapped address
+	if ( this.ipv6 && net.isIPv4( address ) ) { address = '::ffff:' + address ; }
+
+	log.debug( "Send buffer of %iB to [%s]:%i => %n" , buffer.length , to.address , to.port , buffer ) ;
+	this.socket.send( buffer , to.port , address , error => {
+		if ( error ) {
+			// Not sure if it's good to reject here...
+			log.error( "Error sending buffer to [%s]:%i: %E" , to.address , to.port , error ) ;
+			//promise.reject( error ) ;
+			promise.resolve() ;
+		}
+		else {
+			log.debug( "Buffer of %iB sent to [%s]:%i => %n" , buffer.length , to.address , to.port , buffer ) ;
+			promise.resolve() ;
+		}
+	} ) ;
+
+	return promise ;
+} ;
+
+
+
+/*
+	Session handshake, the client sends a 's' 'open' without sessionId, the server creates the session
+	and replies with a 's' 'open' echoing the ID and carrying the new sessionId.
+	The handshake is sent again until the reply is received or the timeout is reached.
+*/
+UniProtocol.prototype.openSession = function( to , options = null ) {
+	if ( ! this.enableSession ) {
+		return Promise.reject( new Error( "Can't open a session: sessions are disabled" ) ) ;
+	}
+
+	var session = this.getSession( to ) ;
+	if ( session ) { return Promise.resolve( session ) ; }
+
+	if ( ! this.peerSupports( to , this.encryption ? CAPABILITY.encryption : CAPABILITY.session ) ) {
+		return Promise.reject( unsupportedError( this.encryption ? "encrypted sessions" : "sessions" ) ) ;
+	}
+
+	var id = common.getPseudoRandomUInt32() ,
+		message = this._createMessage( false , 's' , 'open' , id ) ,
+		responseId = message.getResponseId( to ) ,
+		responsePromise = new Promise() ,
+		keyExchange = null ,
+		retries = options?.retries ?? 3 ,
+		retryTimer = null ,
+		timeoutTimer = null ;
+
+	if ( this.encryption ) {
+		// Send our public key, the server will reply with its own
+		keyExchange = common.createKeyExchange() ;
+		message.setDataBuffer( keyExchange.publicKey ) ;
+		responsePromise.keyExchange = keyExchange ;
+	}
+
+	this.pendingResponses.set( responseId , responsePromise ) ;
+
+	var retryFn = () => {
+		retryTimer = null ;
+		this.sendMessage( to , message ).catch( error => log.debug( "Can't send the session handshake: %E" , error ) ) ;
+		retries -- ;
+		if ( retries >= 0 ) { retryTimer = setTimeout( retryFn , this.ackResendTimeout ) ; }
+	} ;
+
+	// The server replied with a retry token, send the handshake again with it now
+	responsePromise.sendAgain = () => {
+		this.sendMessage( to , message ).catch( error => log.debug( "Session handshake with the retry token failed: %E" , error ) ) ;
+	} ;
+
+	retryFn() ;
+
+	timeoutTimer = setTimeout( () => {
+		this.pendingResponses.delete( responseId ) ;
+		responsePromise.reject( new common.TimeoutError( "Session handshake timeout" ) ) ;
+	} , options?.timeout || this.sessionOpenTimeout ) ;
+
+	responsePromise.finally( () => {
+		if ( retryTimer ) { clearTimeout( retryTimer ) ; retryTimer = null ; }
+		if ( timeoutTimer ) { clearTimeout( timeoutTimer ) ; timeoutTimer = null ; }
+	} ) ;
+
+	return responsePromise ;
+} ;
+
+
+
+// Close the session, the peer is notified (best effort)
+UniProtocol.prototype.closeSession = async function( sessionOrPeer ) {
+	var session = sessionOrPeer instanceof Session ? sessionOrPeer : this.getSession( sessionOrPeer ) ;
+	if ( ! session || this.sessions.get( session.id ) !== session ) { return ; }
+
+	var message = this._createMessage( true , 's' , 'clos' , common.getPseudoRandomUInt32() ) ;
+	message.sessionId = session.id ;
+	this.removeSession( session , 'local' ) ;
+
+	try {
+		await this.sendMessage( session.peer , message , 3 ) ;
+	}
+	catch ( error ) {
+		log.debug( "Session %s closed, but the peer did not ack: %E" , session.id , error ) ;
+	}
+} ;
+
+
+
+// Get the session of a peer, if any
+UniProtocol.prototype.getSession = function( peer ) {
+	return this.peerSessions.get( common.getAddressId( peer ) ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.addSession = function( session ) {
+	var previousSession = this.peerSessions.get( session.peerId ) ;
+	if ( previousSession ) { this.removeSession( previousSession , 'replaced' ) ; }
+
+	this.sessions.set( session.id , session ) ;
+	this.peerSessions.set( session.peerId , session ) ;
+	log.debug( "Session %s opened with %s" , session.id , session.peerId ) ;
+	this.emit( 'session-open' , session ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.removeSession = function( session , reason ) {
+	this.sessions.delete( session.id ) ;
+	if ( this.peerSessions.get( session.peerId ) === session ) { this.peerSessions.delete( session.peerId ) ; }
+	log.debug( "Session %s closed with %s (%s)" , session.id , session.peerId , reason ) ;
+	this.emit( 'session-close' , session , reason ) ;
+} ;
+
+
+
+// Internal, return true if the session of the message exists and belongs to the sender
+UniProtocol.prototype.checkSession = function( message ) {
+	var session = this.sessions.get( message.sessionId ) ;
+
+	if ( ! session || ! session.isFrom( message.sender ) ) {
+		this.getThrottledLog( message.sender ).error( "Received message from [%s]:%i with an unknown session %s" , message.sender.address , message.sender.port , message.sessionId ) ;
+		return false ;
+	}
+
+	session.touch() ;
+	return true ;
+} ;
+
+
+
+// Internal, called for built-in type 's'
+UniProtocol.prototype.receiveSessionMessage = function( message ) {
+	if ( ! this.enableSession ) {
+		log.debug( "Received a session message from [%s]:%i, but sessions are disabled" , message.sender.address , message.sender.port ) ;
+		return ;
+	}
+
+	switch ( message.command ) {
+		case 'open' :
+			if ( message.sessionId ) { this.receiveSessionAccept( message ) ; }
+			else { this.receiveSessionOpen( message ) ; }
+			return ;
+		case 'clos' :
+			this.receiveSessionClose( message ) ;
+			return ;
+		default :
+			log.error( "Received unknown session command '%s' from [%s]:%i" , message.command , message.sender.address , message.sender.port ) ;
+	}
+} ;
+
+
+
+// Internal, server-side of the handshake
+UniProtocol.prototype.receiveSessionOpen = function( message ) {
+	var session = this.getSession( message.sender ) ,
+		peerPublicKey = message.dataBuffer ;
+
+	if ( this.encryption && ! peerPublicKey ) {
+		log.error( "Refused unencrypted session from [%s]:%i" , message.sender.address , message.sender.port ) ;
+		return ;
+	}
+
+	// If it's the same handshake sent again, the previous reply was probably lost, so reuse the session
+	if ( ! session || session.openId !== message.id ) {
+		if ( ! this.getPeer( message.sender )?.validated && ! this.isAddressValidated( message ) ) {
+			// Maybe a spoofed address, don't spend a key exchange and a session on it
+			this.sendRetryToken( message ).catch( error => log.debug( "Can't send a retry token: %E" , error ) ) ;
+			return ;
+		}
+
+		this.validatePeer( message.sender ) ;
+
+		if ( this.sessions.size >= this.maxSessions && ! session ) {
+			this.timeoutSessions() ;
+
+			if ( this.sessions.size >= this.maxSessions ) {
+				this.getThrottledLog( message.sender ).error( "Refused session from [%s]:%i (too many sessions: %i)" , message.sender.address , message.sender.port , this.sessions.size ) ;
+				return ;
+			}
+		}
+
+		session = new Session( common.getRandomHexId( SESSION_SIZE ) , message.sender ) ;
+		session.openId = message.id ;
+
+		if ( peerPublicKey ) {
+			// The client wants an encrypted session
+			let keyExchange = common.createKeyExchange() ;
+
+			try {
+				session.setKeys( common.deriveSessionKeys( keyExchange.privateKey , peerPublicKey , session.id , false ) ) ;
+			}
+			catch ( error ) {
+				log.error( "Refused session from [%s]:%i, key exchange failed: %E" , message.sender.address , message.sender.port , error ) ;
+				return ;
+			}
+
+			session.localPublicKey = keyExchange.publicKey ;
+		}
+
+		this.addSession( session ) ;
+	}
+
+	var reply = this._createMessage( false , 's' , 'open' , message.id ) ;
+	reply.sessionId = session.id ;
+	if ( session.localPublicKey ) { reply.setDataBuffer( session.localPublicKey ) ; }
+
+	this.sendMessage( message.sender , reply ).catch( error => {
+		log.debug( "Can't reply to the session handshake from [%s]:%i: %E" , message.sender.address , message.sender.port , error ) ;
+	} ) ;
+} ;
+
+
+
+// Internal, client-side of the handshake
+UniProtocol.prototype.receiveSessionAccept = function( message ) {
+	var responseId = message.getResponseId() ,
+		responsePromise = this.pendingResponses.get( responseId ) ;
+
+	if ( ! responsePromise ) {
+		log.debug( "Received a not wanted or forgotten session handshake %s" , responseId ) ;
+		return ;
+	}
+
+	this.pendingResponses.delete( responseId ) ;
+	this.validatePeer( message.sender ) ;
+
+	var session = new Session( message.sessionId , message.sender , true ) ;
+	session.openId = message.id ;
+
+	if ( responsePromise.keyExchange ) {
+		if ( ! message.dataBuffer ) {
+			responsePromise.reject( new Error( "The peer does not support encrypted sessions" ) ) ;
+			return ;
+		}
+
+		try {
+			session.setKeys( common.deriveSessionKeys( responsePromise.keyExchange.privateKey , message.dataBuffer , session.id , true ) ) ;
+		}
+		catch ( error ) {
+			responsePromise.reject( error ) ;
+			return ;
+		}
+	}
+
+	this.addSession( session ) ;
+	responsePromise.resolve( session ) ;
+} ;
+
+
+
+// Internal, decrypt and authenticate the message's data if it belongs to an encrypted session, return false if the message should be dropped
+UniProtocol.prototype.decryptMessage = function( message ) {
+	var session = message.sessionId && this.sessions.get( message.sessionId ) ;
+
+	if ( ! session?.isEncrypted() ) {
+		if ( message.encryptedData ) {
+			log.error( "Received encrypted data from [%s]:%i without a valid session" , message.sender.address , message.sender.port ) ;
+			return false ;
+		}
+
+		return true ;
+	}
+
+	if ( ! message.dataBuffer ) { return true ; }
+
+	if ( ! message.encryptedData ) {
+		log.error( "Received unencrypted data from [%s]:%i within an encrypted session" , message.sender.address , message.sender.port ) ;
+		return false ;
+	}
+
+	if ( ! message.decrypt( session.decryptionKey ) ) {
+		log.error( "Received data from [%s]:%i that failed the authentication" , message.sender.address , message.sender.port ) ;
+		return false ;
+	}
+
+	return true ;
+} ;
+
+
+
+// Internal, decompress now, so a decompression bomb is dropped before anything is done with the message
+UniProtocol.prototype.decompressMessage = function( message ) {
+	try {
+		message.decompressedBuffer = message.decompressData( message.dataBuffer , this.maxMessageSize ) ;
+	}
+	catch ( error ) {
+		if ( error instanceof common.UnsupportedError ) {
+			this.getThrottledLog( message.sender ).error( "Received unsupported message from [%s]:%i (%s)" , message.sender.address , message.sender.port , error.message ) ;
+			this.droppedPackets.unsupported ++ ;
+			return false ;
+		}
+
+		this.getThrottledLog( message.sender ).error( "Received bad message from [%s]:%i (can't decompress: %s)" , message.sender.address , message.sender.port , error.message ) ;
+		this.dropPacket( message.sender , 'malformed' ) ;
+		return false ;
+	}
+
+	return true ;
+} ;
+
+
+
+// Internal, return false if the message is replayed, it must be called once decrypted (the sequence is authenticated)
+UniProtocol.prototype.checkReplay = function( message ) {
+	var session = this.sessions.get( message.sessionId ) ;
+	if ( ! session || message.type === 's' ) { return true ; }
+
+	if ( message.sessionSequence === null ) {
+		if ( ! session.replayProtected ) { return true ; }
+		log.error( "Received message from [%s]:%i without a sequence within the replay-protected session %s" , message.sender.address , message.sender.port , session.id ) ;
+		return false ;
+	}
+
+	if ( ! session.checkReplay( message.sessionSequence , this.replayWindow ) ) {
+		// Also fragments sent again because our ack was lost, so it's not an error
+		log.debug( "Received replayed message (sequence %i) from [%s]:%i in session %s, dropped" , message.sessionSequence , message.sender.address , message.sender.port , session.id ) ;
+		return false ;
+	}
+
+	return true ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.receiveSessionClose = function( message ) {
+	var session = this.sessions.get( message.sessionId ) ;
+
+	// It could be a close message sent again, because the ack was lost
+	if ( ! session || ! session.isFrom( message.sender ) ) { return ; }
+
+	this.removeSession( session , 'remote' ) ;
+} ;
+
+
+
+/*
+	Exchange protocol version and capabilities with a peer, so we only use features both sides support.
+	Resolve to the capability bitmap of the peer (see UniProtocol.CAPABILITY).
+*/
+UniProtocol.prototype.hello = async function( to , options = null ) {
+	var id = common.getPseudoRandomUInt32() ,
+		helloId = common.getAddressId( to ) + ':' + id ,
+		message = this.createMessageWithAck( 'h' , 'helo' , id , this.getHelloData() ) ,
+		helloPromise = new Promise() ,
+		timer = null ;
+
+	this.pendingHellos.set( helloId , helloPromise ) ;
+
+	timer = setTimeout( () => {
+		this.pendingHellos.delete( helloId ) ;
+		helloPromise.reject( new common.TimeoutError( "Hello timeout" ) ) ;
+	} , options?.timeout || this.responseForgetTimeout ) ;
+
+	helloPromise.finally( () => clearTimeout( timer ) ) ;
+
+	this.sendMessage( to , message , options?.retries ?? Math.floor( this.ackForgetTimeout / this.ackResendTimeout ) ).catch( error => {
+		this.pendingHellos.delete( helloId ) ;
+		helloPromise.reject( error ) ;
+	} ) ;
+
+	return helloPromise ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.getHelloData = function() {
+	return { version: PROTOCOL_VERSION , capabilities: this.capabilities , schema: this.schema?.getFingerprint() ?? null } ;
+} ;
+
+
+
+// Internal, called for built-in type 'h'
+UniProtocol.prototype.receiveHello = function( message ) {
+	var peer = this.getPeer( message.sender ) ,
+		data ;
+
+	switch ( message.command ) {
+		case 'helo' :
+			// Discovery hellos have no data
+			data = message.decodeData() ;
+			if ( peer && data ) { this.setPeerCapabilities( peer , data ) ; }
+
+			this.sendMessage( message.sender , this.createMessage( 'h' , 'ehlo' , message.id , this.getHelloData() ) ).catch( error => {
+				log.debug( "Can't reply to hello from [%s]:%i: %E" , message.sender.address , message.sender.port , error ) ;
+			} ) ;
+			break ;
+		case 'ehlo' : {
+			data = message.decodeData() ;
+			if ( ! peer || ! data || ! this.setPeerCapabilities( peer , data ) ) { return ; }
+
+			let helloId = peer.id + ':' + message.id ,
+				helloPromise = this.pendingHellos.get( helloId ) ;
+
+			if ( helloPromise ) {
+				this.pendingHellos.delete( helloId ) ;
+				this.validatePeer( message.sender ) ;
+
+				if ( this.hasSchemaMismatch( peer ) ) {
+					let error = new Error( "The peer has a different protocol schema" ) ;
+					error.code = 'schemaMismatch' ;
+					helloPromise.reject( error ) ;
+				}
+				else {
+					helloPromise.resolve( peer.capabilities ) ;
+				}
+			}
+
+			break ;
+		}
+		case 'pmtu' :
+			// Path MTU probe, only the ack matters, and it was already sent
+			break ;
+		case 'rtry' :
+			this.receiveRetryToken( message ) ;
+			break ;
+	}
+} ;
+
+
+
+// Internal, return false if the data is not a hello
+UniProtocol.prototype.setPeerCapabilities = function( peer , data ) {
+	if ( typeof data !== 'object' || ! Number.isInteger( data.capabilities ) ) {
+		log.error( "Received bad message from [%s]:%i (hello without capabilities)" , peer.address.address , peer.address.port ) ;
+		return false ;
+	}
+
+	peer.capabilities = data.capabilities ;
+	peer.schemaFingerprint = typeof data.schema === 'string' ? data.schema : null ;
+	log.debug( "Peer %s capabilities: %i" , peer.id , peer.capabilities ) ;
+
+	if ( this.hasSchemaMismatch( peer ) ) {
+		log.error( "Peer %s has a different protocol schema (fingerprint: %s, ours: %s)" , peer.id , peer.schemaFingerprint , this.schema.getFingerprint() ) ;
+		this.emit( 'schema-mismatch' , peer.address , peer.schemaFingerprint ) ;
+	}
+
+	return true ;
+} ;
+
+
+
+// Return true if both sides have a schema, and they are different
+UniProtocol.prototype.hasSchemaMismatch = function( peer ) {
+	return !! ( this.schema && peer.schemaFingerprint && peer.schemaFingerprint !== this.schema.getFingerprint() ) ;
+} ;
+
+
+
+/*
+	Return true if the peer supports this capability (see UniProtocol.CAPABILITY).
+	Peers we know nothing about are assumed to support everything, legacy peers (version 0) support none.
+*/
+UniProtocol.prototype.peerSupports = function( to , capability ) {
+	var peer = this.getPeer( to ) ;
+	if ( ! peer || peer.version === null ) { return true ; }
+	if ( peer.version === 0 ) { return false ; }
+	if ( peer.capabilities === null ) { return true ; }
+	return !! ( peer.capabilities & capability ) ;
+} ;
+
+
+
+// Internal, downgrade the message for this peer: protocol version, checksum and codec.
+// Unlike other features, codecs are not used until the peer has advertised it, because legacy peers would drop the message.
+UniProtocol.prototype.adaptMessage = function( to , message ) {
+	var peer = this.getPeer( to ) ;
+	message.version = peer && peer.version !== null ? Math.min( peer.version , PROTOCOL_VERSION ) : PROTOCOL_VERSION ;
+	// The checksum flag would make it unreadable for a legacy peer, so it's only used once we know the peer is not one
+	message.checksum = this.checksum && !! peer?.version && this.peerSupports( to , CAPABILITY.checksum ) ;
+	message.allowCodec = !! ( peer?.capabilities & CAPABILITY.codec ) ;
+} ;
+
+
+
+// Get a known peer, if any
+UniProtocol.prototype.getPeer = function( address ) {
+	return this.peers.get( common.getAddressId( address ) ) ;
+} ;
+
+
+
+// Internal, called each time something valid is received, create the peer if it doesn't exist
+UniProtocol.prototype.touchPeer = function( address , version ) {
+	var peer = this.getOrCreatePeer( address ) ;
+	if ( ! peer ) { return null ; }
+
+	peer.touch() ;
+	peer.version = version ;
+	return peer ;
+} ;
+
+
+
+// Internal, return null if the peer doesn't exist and there are too many peers
+UniProtocol.prototype.getOrCreatePeer = function( address ) {
+	var id = common.getAddressId( address ) ,
+		peer = this.peers.get( id ) ;
+
+	if ( peer ) { return peer ; }
+	if ( this.peers.size >= this.maxPeers && ! this.evictPeer() ) { return null ; }
+
+	peer = new Peer( address ) ;
+	this.peers.set( id , peer ) ;
+
+	return peer ;
+} ;
+
+
+
+// Internal, the peer proved it owns its address: it answered one of our messages (ack, response, hello), it used our session ID,
+// or our retry token. Only then it can be sent messages bigger than what it sent, like path MTU probes.
+UniProtocol.prototype.validatePeer = function( address ) {
+	var peer = this.getPeer( address ) ;
+	if ( ! peer || peer.validated ) { return ; }
+
+	peer.validated = true ;
+
+	if ( this.pmtuDiscovery ) {
+		this.probePathMtu( peer.address ).catch( error => log.debug( "Path MTU discovery failed: %E" , error ) ) ;
+	}
+} ;
+
+
+
+// Forget the peer and close its session
+UniProtocol.prototype.removePeer = function( peer , reason ) {
+	if ( this.peers.get( peer.id ) !== peer ) { return ; }
+
+	this.peers.delete( peer.id ) ;
+	peer.clearTimers() ;
+
+	var session = this.peerSessions.get( peer.id ) ;
+	if ( session ) { this.removeSession( session , reason ) ; }
+
+	for ( let [ channel , channelSubscribers ] of this.subscribers ) {
+		if ( channelSubscribers.has( peer.id ) ) {
+			this.deleteSubscriber( channel , channelSubscribers , peer.id ) ;
+			this.emit( 'unsubscribe' , channel , peer.address ) ;
+		}
+	}
+} ;
+
+
+
+// Internal, forget the oldest peer that has not proved it owns its address (it could be spoofed), return false if there is none
+UniProtocol.prototype.evictPeer = function() {
+	for ( let peer of this.peers.values() ) {
+		if ( ! peer.validated && ! this.peerSessions.has( peer.id ) ) {
+			log.debug( "Too many peers, forgetting %s" , peer.id ) ;
+			this.removePeer( peer , 'evicted' ) ;
+			return true ;
+		}
+	}
+
+	return false ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.startKeepAlive = function() {
+	if ( ! this.peerTimeoutTimer ) {
+		this.peerTimeoutTimer = setInterval( () => {
+			this.timeoutPeers() ;
+			this.timeoutSessions() ;
+		} , Math.min( this.keepAliveInterval || Infinity , this.peerTimeout / 3 , this.sessionTimeout / 3 ) ) ;
+	}
+
+	if ( ! this.keepAliveInterval || this.keepAliveTimer ) { return ; }
+	this.keepAliveTimer = setInterval( () => this.keepAlive() , this.keepAliveInterval ) ;
+} ;
+
+
+
+// Internal, close idle sessions
+UniProtocol.prototype.timeoutSessions = function() {
+	var now = Date.now() ;
+
+	for ( let session of [ ... this.sessions.values() ] ) {
+		if ( now - session.lastActivity > this.sessionTimeout ) { this.removeSession( session , 'timeout' ) ; }
+	}
+} ;
+
+
+
+// Internal, forget silent peers
+UniProtocol.prototype.timeoutPeers = function() {
+	var now = Date.now() ;
+
+	for ( let peer of [ ... this.peers.values() ] ) {
+		if ( now - peer.lastSeen > this.peerTimeout ) {
+			log.info( "Peer %s timed out" , peer.id ) ;
+			this.removePeer( peer , 'timeout' ) ;
+			this.emit( 'peer-timeout' , peer ) ;
+		}
+	}
+} ;
+
+
+
+// Internal, ping peers known to own their address, so a spoofed packet can't make us send pings to someone else
+UniProtocol.prototype.keepAlive = function() {
+	this.timeoutPeers() ;
+
+	for ( let peer of this.peers.values() ) {
+		if ( ! peer.validated && ! this.peerSessions.has( peer.id ) ) { continue ; }
+
+		let id = common.getPseudoRandomUInt32() ;
+		peer.addPing( id , this.peerTimeout ) ;
+
+		this.sendMessage( peer.address , this._createMessage( false , 'k' , 'ping' , id ) ).catch( error => {
+			log.debug( "Can't send keep-alive to %s: %E" , peer.id , error ) ;
+		} ) ;
+	}
+} ;
+
+
+
+// Internal, called for built-in type 'k'
+UniProtocol.prototype.receiveKeepAlive = function( message ) {
+	switch ( message.command ) {
+		case 'ping' :
+			this.sendMessage( message.sender , this._createMessage( false , 'k' , 'pong' , message.id ) ).catch( error => {
+				log.debug( "Can't reply to keep-alive from [%s]:%i: %E" , message.sender.address , message.sender.port , error ) ;
+			} ) ;
+			return ;
+		case 'pong' : {
+			let peer = this.getPeer( message.sender ) ,
+				rtt = peer && peer.resolvePing( message.id ) ;
+
+			if ( rtt !== null ) { log.debug( "Peer %s RTT: %ims" , peer.id , rtt ) ; }
+			return ;
+		}
+		default :
+			log.error( "Received unknown keep-alive command '%s' from [%s]:%i" , message.command , message.sender.address , message.sender.port ) ;
+	}
+} ;
+
+
+
+/*
+	Subscribe to a channel of a publisher, the publisher will send 'E' messages with the channel as the command,
+	received as any other message (e.g.: .incoming.on( 'E' + channel , ... )).
+	The subscription is renewed automatically before the lease expires, until .unsubscribe() is called.
+	options:
+		lease: the subscription duration in ms, should not exceed the publisher's maxSubscriptionLease
+		retries: how many times the subscription is sent again if not acked
+	Return a promise that resolves once the publisher acked the subscription, it doesn't ack refused subscriptions.
+	If the publisher doesn't know us yet, it answers with a retry token, then the subscription is sent again with it.
+*/
+UniProtocol.prototype.subscribe = function( to , channel , options = null ) {
+	if ( typeof channel !== 'string' || channel.length !== 4 ) {
+		throw new Error( ".subscribe(): channel argument must be a string of length 4" ) ;
+	}
+
+	var id = common.getAddressId( to ) + ':' + channel ,
+		subscription = this.subscriptions.get( id ) ;
+
+	if ( subscription ) {
+		if ( subscription.renewTimer ) { clearTimeout( subscription.renewTimer ) ; }
+	}
+	else {
+		subscription = {
+			address: to ,
+			channel ,
+			lease: 0 ,
+			retries: 0 ,
+			message: null ,	// the last subscription message sent
+			renewTimer: null
+		} ;
+
+		this.subscriptions.set( id , subscription ) ;
+	}
+
+	subscription.lease = + options?.lease || this.subscriptionLease ;
+	subscription.retries = options?.retries ?? 3 ;
+
+	return this.renewSubscription( subscription ) ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.renewSubscription = function( subscription ) {
+	subscription.renewTimer = null ;
+
+	var message = subscription.message = this._createMessage( true , 'e' , subscription.channel , common.getPseudoRandomUInt32() , subscription.lease ) ;
+	var promise = this.sendMessage( subscription.address , message , subscription.retries ) ;
+
+	// Renew at half the lease, so a lost renewal can be sent again before the expiration
+	subscription.renewTimer = setTimeout( () => this.renewSubscription( subscription ) , subscription.lease / 2 ) ;
+
+	promise.catch( error => {
+		log.debug( "Subscription to channel '%s' of [%s]:%i not acked: %E" , subscription.channel , subscription.address.address , subscription.address.port , error ) ;
+	} ) ;
+
+	return promise ;
+} ;
+
+
+
+// Cancel a subscription, the publisher is notified (best effort)
+UniProtocol.prototype.unsubscribe = async function( to , channel ) {
+	var id = common.getAddressId( to ) + ':' + channel ,
+		subscription = this.subscriptions.get( id ) ;
+
+	if ( ! subscription ) { return ; }
+
+	if ( subscription.renewTimer ) { clearTimeout( subscription.renewTimer ) ; subscription.renewTimer = null ; }
+	this.subscriptions.delete( id ) ;
+
+	var message = this._createMessage( true , 'e' , channel , common.getPseudoRandomUInt32() , 0 ) ;
+
+	try {
+		await this.sendMessage( to , message , 3 ) ;
+	}
+	catch ( error ) {
+		log.debug( "Unsubscription from channel '%s' of [%s]:%i not acked: %E" , channel , to.address , to.port , error ) ;
+	}
+} ;
+
+
+
+// Internal, called for built-in type 'e', publisher-side: the command is the channel, the data is the lease (0: unsubscribe)
+UniProtocol.prototype.receiveSubscription = function( message ) {
+	var lease = message.decodeData() ,
+		peerId = common.getAddressId( message.sender ) ,
+		channel = message.command ,
+		channelSubscribers = this.subscribers.get( channel ) ;
+
+	if ( typeof lease !== 'number' || ! ( lease >= 0 ) ) {
+		log.error( "Received bad subscription from [%s]:%i (lease is not a positive number)" , message.sender.address , message.sender.port ) ;
+		return ;
+	}
+
+	if ( ! lease ) {
+		this.ackSubscription( message ) ;
+
+		if ( channelSubscribers?.has( peerId ) ) {
+			this.deleteSubscriber( channel , channelSubscribers , peerId ) ;
+			log.debug( "%s unsubscribed from channel '%s'" , peerId , channel ) ;
+			this.emit( 'unsubscribe' , channel , message.sender ) ;
+		}
+
+		return ;
+	}
+
+	var subscriber = channelSubscribers?.get( peerId ) ,
+		expires = Date.now() + Math.min( lease , this.maxSubscriptionLease ) ;
+
+	if ( subscriber ) {
+		subscriber.expires = expires ;
+		this.ackSubscription( message ) ;
+		return ;
+	}
+
+	var peer = this.getPeer( message.sender ) ;
+
+	if ( ! peer?.validated ) {
+		// Events would be sent to an address that could be spoofed, it should prove it owns it first
+		log.debug( "Subscription to channel '%s' from unvalidated %s, sending a retry token" , channel , peerId ) ;
+		this.sendRetryToken( message ).catch( error => log.debug( "Can't send the retry token to %s: %E" , peerId , error ) ) ;
+		return ;
+	}
+
+	if ( peer.subscribedChannels >= this.maxChannelsPerPeer ) {
+		this.getThrottledLog( message.sender ).error( "Subscription to channel '%s' from %s refused: too many channels (max: %i)" , channel , peerId , this.maxChannelsPerPeer ) ;
+		return ;
+	}
+
+	// Remove expired subscriptions before refusing
+	if ( channelSubscribers?.size >= this.maxSubscribersPerChannel && this.getSubscribers( channel ).length >= this.maxSubscribersPerChannel ) {
+		this.getThrottledLog( message.sender ).error( "Subscription to channel '%s' from %s refused: too many subscribers (max: %i)" , channel , peerId , this.maxSubscribersPerChannel ) ;
+		return ;
+	}
+
+	channelSubscribers = this.subscribers.get( channel ) ;
+
+	if ( ! channelSubscribers ) {
+		channelSubscribers = new Map() ;
+		this.subscribers.set( channel , channelSubscribers ) ;
+	}
+
+	channelSubscribers.set( peerId , { address: message.sender , expires } ) ;
+	peer.subscribedChannels ++ ;
+	this.ackSubscription( message ) ;
+	log.debug( "%s subscribed to channel '%s'" , peerId , channel ) ;
+	this.emit( 'subscribe' , channel , message.sender ) ;
+} ;
+
+
+
+// Return the list of addresses subscribed to this channel, expired subscriptions are removed
+UniProtocol.prototype.getSubscribers = function( channel ) {
+	var channelSubscribers = this.subscribers.get( channel ) ;
+	if ( ! channelSubscribers ) { return [] ; }
+
+	var now = Date.now() ,
+		addressList = [] ;
+
+	for ( let [ peerId , subscriber ] of channelSubscribers ) {
+		if ( subscriber.expires < now ) {
+			this.deleteSubscriber( channel , channelSubscribers , peerId ) ;
+			log.debug( "Subscription of %s to channel '%s' expired" , peerId , channel ) ;
+			this.emit( 'unsubscribe' , channel , subscriber.address ) ;
+			continue ;
+		}
+
+		addressList.push( subscriber.address ) ;
+	}
+
+	return addressList ;
+} ;
+
+
+
+// Internal, a refused subscription is not acked, so the subscriber's promise rejects
+UniProtocol.prototype.ackSubscription = function( message ) {
+	if ( message.wantAck && ! this.ignoreWantedAck ) { this.sendAckFor( message ) ; }
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.deleteSubscriber = function( channel , channelSubscribers , peerId ) {
+	channelSubscribers.delete( peerId ) ;
+	if ( ! channelSubscribers.size ) { this.subscribers.delete( channel ) ; }
+
+	var peer = this.peers.get( peerId ) ;
+	if ( peer ) { peer.subscribedChannels -- ; }
+} ;
+
+
+
+/*
+	Send an 'E' message to all subscribers of the channel.
+	options: the same than .sendEvent() (ack, retries, compressed, codec)
+	Return a promise that resolves once sent (or acked) to everyone, with the number of subscribers that have failed.
+*/
+UniProtocol.prototype.publish = async function( channel , data = undefined , options = null ) {
+	var failed = 0 ;
+
+	await Promise.map( this.getSubscribers( channel ) , address => this.sendEvent( address , channel , data , options ).catch( error => {
+		log.debug( "Publishing on channel '%s' to [%s]:%i failed: %E" , channel , address.address , address.port , error ) ;
+		failed ++ ;
+	} ) ) ;
+
+	return failed ;
+} ;
+
+
+
+/*
+	Real-time frame channel: send the state at this frame, <ID> is the frame number, it should start at 1 and increase.
+	The state is serialized using the binaryDataParams of 'F' + command, then sent as a delta against the last frame
+	acked by the peer, or as a full frame if there is none.
+	The receiver drops stale frames, acks the others and emits them as usual, with the full state as the data.
+*/
+UniProtocol.prototype.sendFrame = async function( to , command , frameId , state ) {
+	if ( ! this.peerSupports( to , CAPABILITY.frame ) ) { throw unsupportedError( "frames" ) ; }
+
+	var buffer = this.getFrameBuffer( command , frameId , state ) ,
+		baseFrameId = this.getPeer( to )?.frameAcks.get( command ) || 0 ,
+		baseBuffer = baseFrameId && this.frameHistory.get( command ).get( baseFrameId ) ;
+
+	if ( ! baseBuffer ) { baseFrameId = 0 ; }
+
+	var header = Buffer.allocUnsafe( 4 ) ;
+	header.writeUInt32BE( baseFrameId , 0 ) ;
+
+	var message = this._createMessage( false , 'F' , command , frameId ) ;
+	message.setDataBuffer( Buffer.concat( [ header , zlib.deflateRawSync( baseBuffer ? common.xorBuffers( buffer , baseBuffer ) : buffer ) ] ) ) ;
+	return this.sendMessage( to , message ) ;
+} ;
+
+
+
+// Internal, serialize the frame once, and keep it in the history
+UniProtocol.prototype.getFrameBuffer = function( command , frameId , state ) {
+	var history = this.frameHistory.get( command ) ;
+
+	if ( ! history ) {
+		history = new Map() ;
+		this.frameHistory.set( command , history ) ;
+	}
+
+	var buffer = history.get( frameId ) ;
+	if ( buffer ) { return buffer ; }
+
+	buffer = this._createMessage( false , 'F' , command , frameId , state , false ).encodeData() ;
+	if ( ! buffer ) { throw new Error( "Can't encode frame #" + frameId ) ; }
+	if ( buffer.length > this.maxFrameSize ) { throw new Error( "Frame #" + frameId + " is too big: " + buffer.length + "B (max: " + this.maxFrameSize + "B)" ) ; }
+
+	history.set( frameId , buffer ) ;
+	if ( history.size > this.frameHistorySize ) { history.delete( history.keys().next().value ) ; }
+
+	return buffer ;
+} ;
+
+
+
+// Internal, receiver-side: drop stale frames, rebuild the full frame from the delta, ack it, return false if the frame should be dropped
+UniProtocol.prototype.receiveFrame = function( message ) {
+	var peer = this.getPeer( message.sender ) ;
+
+	if ( ! peer ) {
+		log.error( "Received frame from [%s]:%i, but there are too many peers" , message.sender.address , message.sender.port ) ;
+		return false ;
+	}
+
+	var frames = peer.getFrames( message.command ) ;
+
+	if ( message.id <= frames.lastFrameId ) {
+		log.debug( "Dropped stale frame #%i of '%s' (last: #%i)" , message.id , message.command , frames.lastFrameId ) ;
+		return false ;
+	}
+
+	if ( ! message.dataBuffer || message.dataBuffer.length < 4 ) {
+		log.error( "Received bad frame from [%s]:%i (data too short)" , message.sender.address , message.sender.port ) ;
+		return false ;
+	}
+
+	var buffer ,
+		baseFrameId = message.dataBuffer.readUInt32BE( 0 ) ,
+		baseBuffer = baseFrameId && frames.history.get( baseFrameId ) ;
+
+	if ( baseFrameId && ! baseBuffer ) {
+		// We don't have that frame anymore, ack the last frame again, so the sender will use it as the base
+		log.debug( "Dropped frame #%i of '%s', the base frame #%i is unknown" , message.id , message.command , baseFrameId ) ;
+		this.sendFrameAck( message.sender , message.command , frames.lastFrameId ) ;
+		return false ;
+	}
+
+	// The delta has the size of the full frame, so the limit applies to both (decompression bomb)
+	try {
+		buffer = zlib.inflateRawSync( message.dataBuffer.subarray( 4 ) , { maxOutputLength: this.maxFrameSize } ) ;
+	}
+	catch ( error ) {
+		this.getThrottledLog( message.sender ).error( "Received bad frame from [%s]:%i (can't inflate: %s)" , message.sender.address , message.sender.port , error.message ) ;
+		this.dropPacket( message.sender , 'malformed' ) ;
+		return false ;
+	}
+
+	if ( baseBuffer ) { buffer = common.xorBuffers( buffer , baseBuffer ) ; }
+
+	frames.lastFrameId = message.id ;
+	frames.history.set( message.id , buffer ) ;
+	if ( frames.history.size > this.frameHistorySize ) { frames.history.delete( frames.history.keys().next().value ) ; }
+
+	message.setDataBuffer( buffer ) ;
+	this.sendFrameAck( message.sender , message.command , message.id ) ;
+
+	return true ;
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.sendFrameAck = function( to , command , frameId ) {
+	this.sendMessage( to , this._createMessage( false , 'f' , command , frameId ) ).catch( error => {
+		log.debug( "Can't ack frame #%i of '%s' to [%s]:%i: %E" , frameId , command , to.address , to.port , error ) ;
+	} ) ;
+} ;
+
+
+
+// Internal, called for built-in type 'f', sender-side: the peer acked a frame
+UniProtocol.prototype.receiveFrameAck = function( message ) {
+	var peer = this.getPeer( message.sender ) ;
+	if ( ! peer || ! message.id ) { return ; }
+
+	if ( message.id > ( peer.frameAcks.get( message.command ) || 0 ) ) {
+		peer.frameAcks.set( message.command , message.id ) ;
+	}
+} ;
+
+
+
+/*
+	Send a Node Readable to a peer, meta is any serializable data describing it (name, size, ...),
+	and is passed to the 'stream' event of the receiver.
+	Resolve to { chunks , size , checksum } once the receiver has got everything and checked the checksum (SHA-256),
+	reject if the receiver refused or aborted the stream, or on timeout.
+*/
+UniProtocol.prototype.sendStream = async function( to , readable , meta = null ) {
+	if ( this.closed ) { throw new common.ClosedError( "Can't send stream: closed" ) ; }
+	if ( ! this.peerSupports( to , CAPABILITY.stream ) ) { throw unsupportedError( "streams" ) ; }
+
+	var stream = new OutgoingStream( this , to , readable , meta ) ;
+	this.outgoingStreams.set( stream.key , stream ) ;
+
+	try {
+		return await stream.send() ;
+	}
+	finally {
+		this.outgoingStreams.delete( stream.key ) ;
+	}
+} ;
+
+
+
+// Internal
+UniProtocol.prototype.sendStreamControl = function( to , command , data ) {
+	var message = this.createMessageWithAck( 't' , command , common.getPseudoRandomUInt32() , data ) ;
+	return this.sendMessage( to , message , this.streamRetries ) ;
+} ;
+
+
+
+// Internal, called for built-in type 't'
+UniProtocol.prototype.receiveStreamMessage = function( message ) {
+	var peerId = common.getAddressId( message.sender ) ;
 
-	if ( ! message.wantAck ) { return ; }
+	if ( message.command === 'data' ) {
+		// Not serialized: <stream ID>(uint32 4) <chunk index>(uint32 4) <chunk>
+		if ( ! message.dataBuffer || message.dataBuffer.length < 8 ) {
+			log.error( "Received bad message from [%s]:%i (stream chunk too short)" , message.sender.address , message.sender.port ) ;
+			return ;
+		}
 
-	// Ack mecanism
+		let stream = this.incomingStreams.get( peerId + '/' + message.dataBuffer.readUInt32BE( 0 ) ) ;
+		if ( ! stream ) { return ; }
 
-	let ackId = message.getAckId( to , fragmentIndex ) ;
-	let ack = new Promise() ;
-	let done = false ;
-	let retryTimer = null ;
-	let timeoutTimer = null ;
+		if ( ! stream.receiveChunk( message.dataBuffer.readUInt32BE( 4 ) , message.dataBuffer.subarray( 8 ) ) ) {
+			log.error( "Received bad message from [%s]:%i (stream chunk outside of the window)" , message.sender.address , message.sender.port ) ;
+		}
 
-	this.pendingAcks.set( ackId , ack ) ;
+		return ;
+	}
 
-	if ( retries ) {
-		let retryFn = async () => {
-			retryTimer = null ;
-			if ( done ) { return ; }
-			await this.sendBuffer( to , buffer ) ;
-			retries -- ;
-			if ( retries > 0 ) { retryTimer = setTimeout( retryFn , this.ackResendTimeout ) ; }
-		} ;
+	var data = message.decodeData() ;
 
-		retryTimer = setTimeout( retryFn , this.ackResendTimeout ) ;
+	if ( ! data || typeof data !== 'object' || ! Number.isInteger( data.stream ) ) {
+		log.error( "Received bad message from [%s]:%i (stream control without a stream ID)" , message.sender.address , message.sender.port ) ;
+		return ;
 	}
 
-	timeoutTimer = setTimeout( () => {
-		ack.reject( new common.TimeoutError( "Ack timeout" ) ) ;
-	} , this.ackForgetTimeout ) ;
+	var key = peerId + '/' + data.stream ;
 
-	ack.finally( () => {
-		done = true ;
-		if ( retryTimer ) { clearTimeout( retryTimer ) ; retryTimer = null ; }
-		if ( timeoutTimer ) { clearTimeout( timeoutTimer ) ; timeoutTimer = null ; }
-	} ) ;
+	switch ( message.command ) {
+		case 'open' :
+			this.receiveStreamOpen( message , key , data ) ;
+			break ;
+		case 'fini' :
+			if ( typeof data.chunks !== 'number' || typeof data.size !== 'number' || typeof data.checksum !== 'string' ) {
+				log.error( "Received bad message from [%s]:%i (bad stream end)" , message.sender.address , message.sender.port ) ;
+				return ;
+			}
 
-	return ack ;
+			this.incomingStreams.get( key )?.receiveEnd( { chunks: data.chunks , size: data.size , checksum: data.checksum } ) ;
+			break ;
+		case 'wind' :
+			if ( typeof data.next === 'number' ) { this.outgoingStreams.get( key )?.receiveWindow( data.next ) ; }
+			break ;
+		case 'done' :
+			this.outgoingStreams.get( key )?.receiveDone() ;
+			break ;
+		case 'abrt' :
+			this.outgoingStreams.get( key )?.receiveAbort( '' + data.reason ) ;
+			this.incomingStreams.get( key )?.receiveAbort( '' + data.reason ) ;
+			break ;
+		default :
+			log.error( "Received bad message from [%s]:%i (unknown stream command '%s')" , message.sender.address , message.sender.port , message.command ) ;
+	}
 } ;
 
 
 
 // Internal
-UniProtocol.prototype.sendAckFor = function( message ) {
-	var ackMessage = message.toAck() ;
-	log.debug( "Sending ack %s" , ackMessage.getAckId( message.sender ) ) ;
-	var buffers = ackMessage.encode() ;
-	this.sendBuffer( message.sender , buffers[ 0 ] ) ;
-} ;
+UniProtocol.prototype.receiveStreamOpen = function( message , key , data ) {
+	// The open was sent again
+	if ( this.incomingStreams.has( key ) ) { return ; }
 
+	var reason = null ;
 
+	if ( ! this.listenerCount( 'stream' ) || this.incomingStreams.size >= this.maxIncomingStreams ) { reason = 'refused' ; }
+	else if ( ! Number.isInteger( data.window ) || data.window < 1 || data.window > this.streamMaxWindow ) { reason = 'window' ; }
 
-// Internal
-UniProtocol.prototype.sendBuffer = function( to , buffer ) {
-	var promise = new Promise() ;
-	log.debug( "Send buffer of %iB to [%s]:%i => %n" , buffer.length , to.address , to.port , buffer ) ;
-	this.socket.send( buffer , to.port , to.address , error => {
-		if ( error ) {
-			// Not sure if it's good to reject here...
-			log.error( "Error sending buffer to [%s]:%i: %E" , to.address , to.port , error ) ;
-			//promise.reject( error ) ;
-			promise.resolve() ;
-		}
-		else {
-			log.debug( "Buffer of %iB sent to [%s]:%i => %n" , buffer.length , to.address , to.port , buffer ) ;
-			promise.resolve() ;
-		}
-	} ) ;
+	if ( reason ) {
+		log.debug( "Refusing stream %s (%s)" , key , reason ) ;
+		this.sendStreamControl( message.sender , 'abrt' , { stream: data.stream , reason } ).catch( () => undefined ) ;
+		return ;
+	}
 
-	return promise ;
+	var stream = new IncomingStream( this , message.sender , data.stream , data.meta ?? null , data.window ) ;
+	this.incomingStreams.set( key , stream ) ;
+	this.emit( 'stream' , stream , stream.meta , message.sender ) ;
 } ;
 
 
@@ -460,23 +3255,34 @@ UniProtocol.prototype.createMessageWithAck = function( type , command , id = 0 ,
 	return this._createMessage( true , type , command , id , data , compressed ) ;
 } ;
 
-UniProtocol.prototype._createMessage = function( wantAck , type , command , id , data , compressed ) {
+/*
+	compressed: true, false or 'auto' (compress only big payloads), default to the schema's then to .compression for userland messages
+	codec: the name of the codec, default to the schema's then to .codec
+*/
+UniProtocol.prototype._createMessage = function( wantAck , type , command , id , data , compressed , codec ) {
 	if ( typeof type !== 'string' || type.length !== 1 || typeof command !== 'string' || command.length !== 4 ) {
 		throw new Error( ".createMessage(): type and command argument must be string of length 1 and 4" ) ;
 	}
 
-	var message = new Message() ;
+	// Throw if the type is not allowed or if the data doesn't match the model
+	if ( this.schema ) { this.schema.validate( type , command , data ) ; }
+
+	var message = new Message() ,
+		defaults = this.schema?.getDefaults( type , command ) ;
 
 	message.protocolSignature = this.protocolSignature ;
-	message.wantAck = !! wantAck ;
+	message.wantAck = !! wantAck || !! defaults?.ack ;
 	message.type = type ;
 	message.command = command ;
 	message.id = + id || 0 ;
+	message.checksum = this.checksum ;
 	message.binaryDataParams = this.binaryDataParams ;
+	message.codecs = this.codecs ;
 
 	if ( data !== undefined ) {
 		message.setData( data ) ;
-		message.compressedData = !! compressed ;
+		message.compression = compressed ?? defaults?.compressed ?? ( USERLAND_TYPES.has( type ) ? this.compression : false ) ;
+		message.codec = codec || defaults?.codec || this.codec ;
 	}
 
 	return message ;
@@ -484,15 +3290,30 @@ UniProtocol.prototype._createMessage = function( wantAck , type , command , id ,
 
 
 
+function unsupportedError( feature ) {
+	var error = new Error( "The peer does not support " + feature ) ;
+	error.code = 'unsupported' ;
+	return error ;
+}
+
+
+
 /*
 	Low level UDP, mandatory blocks:
-	<proto-signature>(ascii 3) 0x00 <flags>(uint16 2) <type>(ascii 1) <command>(ascii 4) <ID>(uint32 4)
+	<proto-signature>(ascii 3) <version>(uint8 1) <flags>(uint16 2) <type>(ascii 1) <command>(ascii 4) <ID>(uint32 4)
 	
 	Optional blocks:
-		<sessionId>(buffer 8? 12? 16?)
+		<checksum>(uint32 4) [<data checksum>(uint32 4)]
+		<sessionId>(buffer 8) [<session sequence>(uint32 4)]
+		<retry token>(buffer 16)
+		<channel>(uint8 1) <delivery mode>(uint8 1) <sequence>(uint32 4)
 		<fragment index>(uint16 2) <fragments>(uint16 2)
 		<jsbindat data>(bin any)
 
+	version: the protocol version, messages of unsupported version are rejected, a peer sending version 0 is a legacy peer
+		(only flags up to 128 and no capabilities), messages sent to it are downgraded.
+		Messages using only flags up to 128 are sent as version 0, so legacy peers can decode them (e.g. the first message
+		sent to an unknown peer), with the flag 16384 telling newer peers that the sender supports version 1.
 	flags:
 		* 1: require ack, the recipient is supposed to send back a ack, the sender could resend the message until the ack is received
 		* 2: is ack, MUST ECHO THE SAME <type> <command name> and <ID>, and should not have data, and also fragmentIndex/fragments
@@ -501,28 +3322,69 @@ UniProtocol.prototype._createMessage = function( wantAck , type , command , id ,
 		     to specify which fragment was lost
 		* 8: has data, if true, data is present
 		* 16: fragmented, if true, the data is fragmented, so fragmentIndex and fragments are present
-		* 32: compressed data, if true, data is compressed using z-lib's deflate RAW
-		* 64: encrypted, if true, data is encrypted (require a session)
+		* 32: compressed data, if true, data is compressed using z-lib's deflate RAW, or using the codec of the codec flag
+		* 64: encrypted, if true, data is encrypted (require a session), using AES-256-GCM: <IV>(12) <ciphertext> <auth tag>(16),
+		     the header (except checksum, retry token and fragment index/fragments) is authenticated as associated data
 		* 128: is session, if true, sessionId is present
+		* 256: is error, only for response, the data is an error { name , message , code } serialized without data model
+		* 512: has sequence, if true, channel, delivery mode and sequence are present, delivery modes are:
+		     0: unreliable, 1: unreliable-sequenced, 2: reliable-unordered, 3: reliable-ordered
+		* 1024: has checksum, if true, checksum is present, it's the CRC32C of the whole packet except the checksum itself,
+		     if the packet is also a fragment with data, data checksum is present too, it's the CRC32C of the whole data
+		     (all fragments), checked once reassembled
+		* 2048: has codec, only with compressed data, the data starts with the codec ID (uint8 1), then the compressed data,
+		     see CodecRegistry, only sent to peers advertising CAPABILITY.codec
+		* 4096: has session sequence, only with the session flag, the session sequence is present, it is incremented for each
+		     message sent in the session, the receiver rejects sequences it has already received (replay window)
+		* 8192: has retry token, the retry token is present, it's only sent with queries, session handshakes and subscriptions,
+		     once the peer has sent one
+		* 16384: only with version 0, the sender supports version 1, the packet is in the version 0 format because it doesn't
+		     need more, legacy peers ignore this flag
 	type: the command's type, there are 2 category of type:
 		* Userland/upper-layer types (uppercase letter because of "high-level"):
 			* C: Command, a command NOT expecting a Response, <ID> should be random
 			* Q: Query, a command that expect a Response, <ID> should be random
 			* R: Response, response to a query, MUST ECHO THE SAME <command name> and <ID>
-			* E: Event, send information to an eventual subscriber
+			* E: Event, send information to an eventual subscriber, the <command name> is the channel
 			* K: userland Keep-alive/Heartbeat
 			* H: userland Hello
+			* F: Frame, for game or real-time app, send the current state, <ID> is the server frame number,
+			  data: <base frame ID>(uint32 4) <deflate RAW of the serialized state XOR the serialized base frame>,
+			  the base frame is the last frame acked by the receiver, or 0 if there is none (then it's not XOR'ed)
 		* Maybe:
-			* F: Frame, for game or real-time app, send the current state, <ID> is the server frame number
 			* S: userland session
-		* UniProtocol built-in type of commands (lowercase letter because of "low-level") (TODO):
-			* k: Keep-alive/Heartbeat, used to keep alive a session (connection-like, or just to keep the NAT rule on)
-			* h: Hello, used to discover services
-			* s: Session, start a session with a handshake (connection-like)
+		* UniProtocol built-in type of commands (lowercase letter because of "low-level"):
+			* k: Keep-alive/Heartbeat, used to keep alive a session (connection-like, or just to keep the NAT rule on), commands:
+				* ping: sent regularly to known peers
+				* pong: the reply, echoing the <ID>, used to measure the round-trip time
+			* e: Event subscription, the <command name> is the channel to subscribe to (the command of 'E' messages),
+			  data is the lease in ms (how long the subscription last), 0 to unsubscribe
+			* f: Frame ack, echoing the <command name> and the <ID> of the last frame received
+			* h: Hello, used to discover services and exchange capabilities, commands:
+				* helo: data is { version , capabilities , schema }, or nothing when discovering services
+				* ehlo: the reply, echoing the <ID>, data is { version , capabilities , schema },
+				  capabilities is a bitmap, see UniProtocol.CAPABILITY, schema is the fingerprint of the ProtocolSchema or null
+				* pmtu: path MTU probe, data is padding, only the ack matters
+				* rtry: sent instead of a response too big for the query (anti-amplification), echoing the <ID> of the query,
+				  data is not serialized: <retry token>(buffer 16) <command of the query>(ascii 4)
+			* s: Session, start a session with a handshake (connection-like), commands:
+				* open: the handshake, sent without sessionId, the reply echoes the <ID> and carries the new sessionId,
+				  for encrypted session, both data are the raw X25519 public key of the sender
+				* clos: close the session
+			* t: Stream, a transfer too big to be held in memory, sent as a sequence of chunks, all with ack, commands:
+				* open: data is { stream , meta , window }, the stream ID is random
+				* data: a chunk, not serialized: <stream ID>(uint32 4) <chunk index>(uint32 4) <chunk>,
+				  no more than "window" chunks can be sent ahead of what the receiver has consumed
+				* wind: receiver-side, data is { stream , next }, next is the count of chunks consumed so far
+				* fini: the end, data is { stream , chunks , size , checksum }, checksum is the SHA-256 (hex) of the whole transfer
+				* done: receiver-side, data is { stream }, everything was received and the checksum matched
+				* abrt: abort, from either side, data is { stream , reason }
 	command: userland, any 4 ascii alpha-numeric command
 	id: an uint32 used as ID for a command, could be auto-incremented or random, it identify a command when it have to be sent again
 	fragments: how many fragments (packets) the data payload is splitted into, with the 490B data limit per fragment
-		(due to MTU, it is best to have UDP packets up to 508B for IPv4), it allows up to 32MB of data
+		(due to MTU, it is best to have UDP packets up to 508B for IPv4), the protocol allows up to 32MB of data,
+		but receivers drop messages beyond their maxFragments and maxMessageSize (default: 16384 fragments and 4MB),
+		and senders refuse to send them (TooBigError)
 	fragmentIndex: the current fragment, from 0 to fragments - 1
 	data: serialized data using jsbindat
 */
@@ -530,21 +3392,41 @@ UniProtocol.prototype._createMessage = function( wantAck , type , command , id ,
 function Message() {
 	this.sender = null ;
 	this.protocolSignature = 'UNP' ;
+	this.version = PROTOCOL_VERSION ;	// for outgoing message, it is downgraded for legacy peers
 	this.wantAck = false ;
 	this.isAck = false ;
 	this.isNack = false ;
 	this.fragmented = false ;	// for a fragment, more fragments have to be received to reassemble the full message, also set for fragment ack
 	this.reassembled = false ;	// this is not an original message, but a message reassembled from multiple fragments
-	this.compressedData = false ;	// compressed using deflat RAW
+	this.compressedData = false ;	// compressed using deflat RAW, or the codec of codecId
+	this.compression = false ;	// for outgoing message, true, false or 'auto', compressedData is set once encoded, if it was worth it
+	this.codec = 'deflate' ;	// for outgoing message, the name of the wanted codec
+	this.allowCodec = false ;	// for outgoing message, if false, only deflate can be used (the peer doesn't support the codec flag)
+	this.codecId = 0 ;	// 0: deflate without the codec flag, null: incoming message with the codec flag, read from the data
+	this.codecs = null ;	// the CodecRegistry
 	this.encryptedData = false ;	// require a sessionId
+	this.encryptionKey = null ;	// for outgoing message, set when the session is encrypted
+	this.decrypted = false ;	// for incoming message, true once the data was decrypted and authenticated
+	this.decompressedBuffer = null ;	// for incoming message, decompressed on reception (see UniProtocol#decompressMessage())
+	this.isError = false ;	// for response, the data is an error { name , message , code } and not the response's data
+	this.checksum = false ;	// if true, packets have a CRC32C
+	this.dataChecksum = null ;	// for incoming fragmented message, the CRC32C of the whole data
 	this.type = '' ;
 	this.command = '' ;
 	this.id = 0 ;
-	this.sessionId = null ;	// if set, it is a hex string/or a buffer???
+	this.sessionId = null ;	// if set, it is a hex string
+	this.sessionSequence = null ;	// if set, the sequence of the message in the session, for replay protection
+	this.retryToken = null ;	// for query, the retry token received from the peer (anti-amplification)
+	this.passedMiddlewares = false ;	// for outgoing message, true once it went through the middlewares, so it is not transformed twice when sent again
+	this.wireSize = 0 ;	// for incoming message, the size of all its packets
+	this.channel = null ;	// if set, the message is sent on this channel (0-255), with a delivery mode and a sequence
+	this.delivery = 0 ;	// delivery mode, see UniProtocol.DELIVERY
+	this.sequence = 0 ;
 	this.fragmentIndex = 0 ;
 	this.fragments = 1 ;
 
 	this.dataBuffer = null ;
+	this.serializedBuffer = null ;	// for outgoing message, serialized but not yet compressed
 	this.data = undefined ;
 	this.encoded = false ;
 	this.decoded = false ;
@@ -557,12 +3439,23 @@ UniProtocol.Message = Message ;
 
 
 const TYPES = new Set( [
-	'C' , 'Q' , 'R' , 'E' , 'K' , 'H' ,
-	'h'
+	'C' , 'Q' , 'R' , 'E' , 'K' , 'H' , 'F' ,
+	'e' , 'f' , 'h' , 'k' , 's' , 't'
 ] ) ;
 
+const USERLAND_TYPES = new Set( [ 'C' , 'Q' , 'R' , 'E' , 'K' , 'H' , 'F' ] ) ;
+
+// Types checked for duplicates, queries have the response cache and frames their frame ID
+const DEDUP_TYPES = new Set( [ 'C' , 'R' , 'E' , 'K' , 'H' ] ) ;
+
+// Used by messages not created by an UniProtocol instance
+const DEFAULT_CODECS = new CodecRegistry() ;
+
 const MIN_HEADER_SIZE = 15 ;
 const SESSION_SIZE = 8 ;
+const SESSION_SEQUENCE_SIZE = 4 ;
+const SEQUENCE_SIZE = 6 ;
+const CHECKSUM_SIZE = 4 ;
 //const MIN_FRAGMENT = MIN_HEADER_SIZE + SESSION_SIZE + 4 + 16 ;	// maxBufferSize should be at least this value, allocating at least 16 bytes to data
 const MIN_DATA_FRAGMENT_SIZE = 16 ;	// maxBufferSize should at least allow 16 bytes of data
 
@@ -574,6 +3467,16 @@ const FLAG_FRAGMENTED = 16 ;
 const FLAG_COMPRESSED_DATA = 32 ;
 const FLAG_ENCRYPTED_DATA = 64 ;
 const FLAG_SESSION = 128 ;
+const FLAG_ERROR = 256 ;
+const FLAG_SEQUENCE = 512 ;
+const FLAG_CHECKSUM = 1024 ;
+const FLAG_CODEC = 2048 ;
+const FLAG_SESSION_SEQUENCE = 4096 ;
+const FLAG_RETRY_TOKEN = 8192 ;
+const FLAG_VERSION_1 = 16384 ;
+
+// Flags known by each protocol version
+const VERSION_FLAGS = [ 255 + FLAG_VERSION_1 , 16383 ] ;
 
 
 
@@ -582,6 +3485,7 @@ Message.prototype.toAck = function() {
 	var ackMessage = new Message() ;
 
 	ackMessage.protocolSignature = this.protocolSignature ;
+	ackMessage.version = this.version ;
 	ackMessage.isAck = true ;
 	ackMessage.type = this.type ;
 	ackMessage.command = this.command ;
@@ -598,10 +3502,21 @@ Message.prototype.toAck = function() {
 
 
 
+// Create a nack message for this message, telling which fragment is missing
+Message.prototype.toNack = function( fragmentIndex = this.fragmentIndex ) {
+	var nackMessage = this.toAck() ;
+	nackMessage.isAck = false ;
+	nackMessage.isNack = true ;
+	nackMessage.fragmentIndex = fragmentIndex ;
+	return nackMessage ;
+} ;
+
+
+
 // We can force a fragment index, because when fragmenting a message, we just encode into multiple buffers,
 // we do not create multiple messages, so we need to overide it.
 Message.prototype.getAckId = function( endpoint = this.sender , fragmentIndex = this.fragmentIndex ) {
-	var ackId = '[' + endpoint.address + ']:' + endpoint.port + ':' + this.type + this.command + this.id ;
+	var ackId = common.getAddressId( endpoint ) + ':' + this.type + this.command + this.id ;
 
 	if ( this.fragmented ) {
 		ackId += ':' + fragmentIndex + '/' + this.fragments ;
@@ -617,9 +3532,11 @@ const RESPONSE_TYPE_FOR = {
 	q: 'r'
 } ;
 
+const RESPONSE_TYPES = new Set( Object.values( RESPONSE_TYPE_FOR ) ) ;
+
 Message.prototype.getResponseId = function( endpoint = this.sender ) {
 	var responseType = Object.hasOwn( RESPONSE_TYPE_FOR , this.type ) ? RESPONSE_TYPE_FOR[ this.type ] : this.type ;
-	return '[' + endpoint.address + ']:' + endpoint.port + ':' + responseType + this.command + this.id ;
+	return common.getAddressId( endpoint ) + ':' + responseType + this.command + this.id ;
 } ;
 
 
@@ -631,12 +3548,24 @@ Message.reassemble = function( messageList ) {
 	reassembledMessage.reassembled = true ;
 	reassembledMessage.sender = first.sender ;
 	reassembledMessage.protocolSignature = first.protocolSignature ;
+	reassembledMessage.version = first.version ;
 	reassembledMessage.type = first.type ;
 	reassembledMessage.command = first.command ;
 	reassembledMessage.id = first.id ;
 	reassembledMessage.compressedData = first.compressedData ;
+	reassembledMessage.codecId = first.codecId ;
+	reassembledMessage.codecs = first.codecs ;
 	reassembledMessage.encryptedData = first.encryptedData ;
+	reassembledMessage.isError = first.isError ;
+	reassembledMessage.checksum = first.checksum ;
+	reassembledMessage.dataChecksum = first.dataChecksum ;
 	reassembledMessage.sessionId = first.sessionId ;
+	reassembledMessage.sessionSequence = first.sessionSequence ;
+	reassembledMessage.retryToken = first.retryToken ;
+	reassembledMessage.wireSize = messageList.reduce( ( size , message ) => size + message.wireSize , 0 ) ;
+	reassembledMessage.channel = first.channel ;
+	reassembledMessage.delivery = first.delivery ;
+	reassembledMessage.sequence = first.sequence ;
 	reassembledMessage.binaryDataParams = first.binaryDataParams ;
 
 	// Now concat all data buffers
@@ -649,7 +3578,40 @@ Message.reassemble = function( messageList ) {
 
 
 Message.prototype.getReassemblyId = function( endpoint = this.sender ) {
-	return '[' + endpoint.address + ']:' + endpoint.port + ':' + this.type + this.command + this.id + '/' + this.fragments ;
+	return common.getAddressId( endpoint ) + ':' + this.type + this.command + this.id + '/' + this.fragments ;
+} ;
+
+
+
+// Return true if this fragment agrees with another fragment of the same message (everything but the fragment index and data)
+Message.prototype.isFragmentOf = function( message ) {
+	return this.isSameTransmission( message )
+		&& this.fragments === message.fragments
+		&& this.version === message.version
+		&& this.wantAck === message.wantAck
+		&& this.compressedData === message.compressedData
+		&& this.codecId === message.codecId
+		&& this.encryptedData === message.encryptedData
+		&& this.isError === message.isError
+		&& this.channel === message.channel
+		&& this.delivery === message.delivery
+		&& this.sequence === message.sequence ;
+} ;
+
+
+
+// Return true if both fragments come from the same encoding of the message: a message sent again has a new session sequence,
+// and if it is encrypted again, a new data checksum (when checksums are on)
+Message.prototype.isSameTransmission = function( message ) {
+	return this.sessionId === message.sessionId
+		&& this.sessionSequence === message.sessionSequence
+		&& this.dataChecksum === message.dataChecksum ;
+} ;
+
+
+
+Message.prototype.hasData = function() {
+	return this.data !== undefined || !! ( this.encoded && this.dataBuffer ) ;
 } ;
 
 
@@ -658,6 +3620,7 @@ Message.prototype.setData = function( data ) {
 	this.data = data ;
 	this.decoded = true ;
 	this.dataBuffer = null ;
+	this.serializedBuffer = null ;
 	this.encoded = false ;
 } ;
 
@@ -680,19 +3643,40 @@ Message.prototype.clearDataBuffer = function() {
 
 
 
+// Return false if the message has a data checksum (fragmented message) that doesn't match
+Message.prototype.checkDataChecksum = function() {
+	if ( this.dataChecksum === null || ! this.dataBuffer ) { return true ; }
+	return common.crc32c( this.dataBuffer ) === this.dataChecksum ;
+} ;
+
+
+
+// Error responses are always serialized without any data model
+Message.prototype.getBinaryDataParams = function() {
+	if ( this.isError ) { return null ; }
+	return this.binaryDataParams?.perCommand?.[ this.type + this.command ] ?? this.binaryDataParams?.global ;
+} ;
+
+
+
 Message.prototype.decodeData = function() {
 	if ( this.decoded ) { return this.data ; }
 	if ( ! this.dataBuffer || this.fragmented ) { return ; }
 
+	if ( this.encryptedData && ! this.decrypted ) {
+		log.error( "Can't decode data: encrypted data was not decrypted or failed the authentication" ) ;
+		return ;
+	}
+
 	this.data = undefined ;
 
 	var buffer = this.dataBuffer ,
-		binaryDataParams = this.binaryDataParams?.perCommand?.[ this.type + this.command ] ?? this.binaryDataParams?.global ;
+		binaryDataParams = this.getBinaryDataParams() ;
 	if ( binaryDataParams ) { log.hdebug( "binaryDataParams: %Y" , binaryDataParams ) ; }
 	log.hdebug( "binaryDataParams: %Y" , this.binaryDataParams ) ;
 
 	try {
-		if ( this.compressedData ) { buffer = zlib.inflateRawSync( buffer ) ; }
+		if ( this.compressedData ) { buffer = this.decompressedBuffer || this.decompressData( buffer ) ; }
 		this.data = jsbindat.unserialize( buffer , binaryDataParams ) ;
 	}
 	catch ( error ) {
@@ -710,99 +3694,328 @@ Message.prototype.decodeData = function() {
 Message.prototype.encodeData = function() {
 	if ( this.encoded ) { return this.dataBuffer ; }
 
-	this.dataBuffer = null ;
+	var buffer = this.serializeData() ;
+	if ( ! buffer ) { return null ; }
 
-	var buffer ,
-		binaryDataParams = this.binaryDataParams?.perCommand?.[ this.type + this.command ] ?? this.binaryDataParams?.global ;
+	var codec = this.getCodec( buffer ) ;
+
+	try {
+		this.setEncodedData( buffer , codec , codec && codec.compress( buffer , ( this.codecs || DEFAULT_CODECS ).getDictionary( this.command ) ) ) ;
+	}
+	catch ( error ) {
+		log.error( "Can't encode data: %E" , error ) ;
+		return null ;
+	}
+
+	return this.dataBuffer ;
+} ;
+
+
+
+// Like .encodeData(), but payloads of at least minSize bytes are compressed asynchronously, so the event loop is not blocked
+Message.prototype.encodeDataAsync = async function( minSize = 0 ) {
+	if ( this.encoded ) { return this.dataBuffer ; }
+
+	var buffer = this.serializeData() ;
+	if ( ! buffer ) { return null ; }
+
+	var codec = this.getCodec( buffer ) ;
+	if ( ! codec || ! codec.compressAsync || buffer.length < minSize ) { return this.encodeData() ; }
+
+	var compressed = null ;
+
+	try {
+		compressed = await codec.compressAsync( buffer , ( this.codecs || DEFAULT_CODECS ).getDictionary( this.command ) ) ;
+	}
+	catch ( error ) {
+		log.error( "Can't compress data, it will be sent uncompressed: %E" , error ) ;
+		codec = null ;
+	}
+
+	// The data may have been changed or encoded in the meantime
+	if ( this.encoded || this.serializedBuffer !== buffer ) { return this.dataBuffer ; }
+
+	this.setEncodedData( buffer , codec , compressed ) ;
+	return this.dataBuffer ;
+} ;
+
+
+
+// Internal, serialize once, the result is kept until the message is encoded
+Message.prototype.serializeData = function() {
+	if ( this.serializedBuffer ) { return this.serializedBuffer ; }
+
+	var binaryDataParams = this.getBinaryDataParams() ;
 	if ( binaryDataParams ) { log.hdebug( "binaryDataParams: %Y" , binaryDataParams ) ; }
 	log.hdebug( "binaryDataParams: %Y" , this.binaryDataParams ) ;
 
 	try {
-		buffer = jsbindat.serialize( this.data , binaryDataParams ) ;
-		if ( this.compressedData ) { buffer = zlib.deflateRawSync( buffer ) ; }
+		this.serializedBuffer = jsbindat.serialize( this.data , binaryDataParams ) ;
 	}
 	catch ( error ) {
 		log.error( "Can't encode data: %E" , error ) ;
 		return null ;
 	}
 
+	return this.serializedBuffer ;
+} ;
+
+
+
+// Internal, return the codec to use for this serialized buffer, or null if it should not be compressed
+Message.prototype.getCodec = function( buffer ) {
+	if ( ! this.compression ) { return null ; }
+
+	var codecs = this.codecs || DEFAULT_CODECS ;
+	if ( this.compression === 'auto' && buffer.length < codecs.threshold ) { return null ; }
+
+	var codec = codecs.get( this.codec ) ;
+
+	if ( ! codec || ( codec.id && ! this.allowCodec ) || ( codec.dictionary && ! codecs.getDictionary( this.command ) ) ) {
+		codec = codecs.get( 'deflate' ) ;
+	}
+
+	return codec ;
+} ;
+
+
+
+// Internal, the compressed buffer is only used if it's smaller
+Message.prototype.setEncodedData = function( buffer , codec , compressed ) {
+	this.compressedData = false ;
+	this.codecId = 0 ;
+
+	if ( codec && compressed.length + ( codec.id ? 1 : 0 ) < buffer.length ) {
+		this.compressedData = true ;
+		this.codecId = codec.id ;
+		buffer = codec.id ? Buffer.concat( [ Buffer.from( [ codec.id ] ) , compressed ] ) : compressed ;
+	}
+
 	this.dataBuffer = buffer ;
+	this.serializedBuffer = null ;
 	this.encoded = true ;
+} ;
 
-	return this.dataBuffer ;
+
+
+// Internal, throw an UnsupportedError if the codec is unknown, or an error if the data is corrupted or bigger than maxSize
+Message.prototype.decompressData = function( buffer , maxSize = 0 ) {
+	var codecs = this.codecs || DEFAULT_CODECS ,
+		codecId = this.codecId ?? buffer[ 0 ] ;
+
+	if ( this.codecId === null ) { buffer = buffer.subarray( 1 ) ; }
+
+	var codec = codecs.get( codecId ) ;
+	if ( ! codec ) { throw new common.UnsupportedError( "unknown codec ID: " + codecId ) ; }
+
+	var dictionary = codecs.getDictionary( this.command ) ;
+	if ( codec.dictionary && ! dictionary ) { throw new common.UnsupportedError( "no dictionary for command '" + this.command + "' (codec '" + codec.name + "')" ) ; }
+
+	var output = codec.decompress( buffer , dictionary , maxSize || undefined ) ;
+
+	// Userland codecs may ignore the limit
+	if ( maxSize && output.length > maxSize ) { throw new RangeError( "Decompressed data bigger than " + maxSize + "B" ) ; }
+
+	return output ;
+} ;
+
+
+
+// Return the part of the header that is authenticated, independent of fragmentation
+Message.prototype.getAssociatedData = function() {
+	var flags = FLAG_HAS_DATA ,
+		hasSequence = this.channel !== null ,
+		hasSessionSequence = this.sessionId && this.sessionSequence !== null ,
+		buffer = Buffer.allocUnsafe( MIN_HEADER_SIZE + ( this.sessionId ? SESSION_SIZE : 0 ) + ( hasSessionSequence ? SESSION_SEQUENCE_SIZE : 0 ) + ( hasSequence ? SEQUENCE_SIZE : 0 ) ) ,
+		ptr = MIN_HEADER_SIZE ;
+
+	if ( this.compressedData ) { flags += FLAG_COMPRESSED_DATA ; }
+	if ( this.compressedData && this.codecId !== 0 ) { flags += FLAG_CODEC ; }
+	if ( this.encryptedData ) { flags += FLAG_ENCRYPTED_DATA ; }
+	if ( this.sessionId ) { flags += FLAG_SESSION ; }
+	if ( hasSessionSequence ) { flags += FLAG_SESSION_SEQUENCE ; }
+	if ( this.isError ) { flags += FLAG_ERROR ; }
+	if ( hasSequence ) { flags += FLAG_SEQUENCE ; }
+
+	buffer.write( this.protocolSignature , 0 , 3 , 'ascii' ) ;
+	buffer[ 3 ] = this.version ;
+	buffer.writeUInt16BE( flags , 4 ) ;
+	buffer.write( this.type , 6 , 7 , 'ascii' ) ;
+	buffer.write( this.command , 7 , 11 , 'ascii' ) ;
+	buffer.writeUInt32BE( this.id , 11 ) ;
+	if ( this.sessionId ) {
+		buffer.write( this.sessionId , ptr , SESSION_SIZE , 'hex' ) ;
+		ptr += SESSION_SIZE ;
+	}
+
+	if ( hasSessionSequence ) {
+		buffer.writeUInt32BE( this.sessionSequence , ptr ) ;
+		ptr += SESSION_SEQUENCE_SIZE ;
+	}
+
+	if ( hasSequence ) { this.writeSequence( buffer , ptr ) ; }
+
+	return buffer ;
+} ;
+
+
+
+// Internal, write the <channel> <delivery mode> <sequence> block
+Message.prototype.writeSequence = function( buffer , ptr ) {
+	buffer.writeUInt8( this.channel , ptr ) ;
+	buffer.writeUInt8( this.delivery , ptr + 1 ) ;
+	buffer.writeUInt32BE( this.sequence , ptr + 2 ) ;
+} ;
+
+
+
+// Return the encrypted payload, the dataBuffer itself is left untouched
+Message.prototype.encryptData = function() {
+	if ( ! this.encryptionKey ) { throw new Error( "Message#encryptData(): no encryption key" ) ; }
+	return common.encrypt( this.encryptionKey , this.dataBuffer , this.getAssociatedData() ) ;
+} ;
+
+
+
+// Decrypt and authenticate the dataBuffer in place, return false if it fails
+Message.prototype.decrypt = function( key ) {
+	if ( this.decrypted ) { return true ; }
+
+	try {
+		this.dataBuffer = common.decrypt( key , this.dataBuffer , this.getAssociatedData() ) ;
+	}
+	catch ( error ) {
+		return false ;
+	}
+
+	this.decrypted = true ;
+	return true ;
 } ;
 
 
 
-Message.decode = function( buffer , sender , protocolSignature , supportedCommands = null , binaryDataParams = null ) {
+// The logger is used for errors caused by a bad packet, the caller may throttle it.
+// Return null for a malformed packet, throw a ChecksumError for a corrupted one, an UnsupportedError for a valid but unsupported one.
+Message.decode = function( buffer , sender , protocolSignature , supportedCommands = null , binaryDataParams = null , enableSession = false , codecs = null , logger = log ) {
 
 	// First, check for malformed message
 
 	var expectedSize = MIN_HEADER_SIZE ;
 
 	if ( buffer.length < expectedSize ) {
-		log.error( "Received bad message from [%s]:%i (message shorter than %i)" , sender.address , sender.port , expectedSize ) ;
-		return null ;
-	}
-
-	if ( buffer[ 3 ] !== 0x00 ) {
-		log.error( "Received bad message from [%s]:%i (protocol signature does not end with 0x00)" , sender.address , sender.port ) ;
+		logger.error( "Received bad message from [%s]:%i (message shorter than %i)" , sender.address , sender.port , expectedSize ) ;
 		return null ;
 	}
 
 	for ( let i = 0 ; i < 3 ; i ++ ) {
 		if ( buffer[ i ] !== protocolSignature.charCodeAt( i ) ) {
-			log.error( "Received bad message from [%s]:%i (does not start with the protocol signature: '%s')" , sender.address , sender.port , protocolSignature ) ;
+			logger.error( "Received bad message from [%s]:%i (does not start with the protocol signature: '%s')" , sender.address , sender.port , protocolSignature ) ;
 			return null ;
 		}
 	}
 
-	var flags = buffer.readUInt16BE( 4 ) ,
-		wantAck = flags & FLAG_WANT_ACK ,
+	var version = buffer[ 3 ] ;
+
+	if ( version > PROTOCOL_VERSION ) {
+		throw new common.UnsupportedError( "protocol version " + version + ", the max supported is " + PROTOCOL_VERSION ) ;
+	}
+
+	var flags = buffer.readUInt16BE( 4 ) ;
+
+	if ( flags & ~ VERSION_FLAGS[ version ] ) {
+		logger.error( "Received bad message from [%s]:%i (flags %i unknown in protocol version %i)" , sender.address , sender.port , flags , version ) ;
+		return null ;
+	}
+
+	// A newer peer using the version 0 format
+	if ( flags & FLAG_VERSION_1 ) { version = 1 ; }
+
+	var wantAck = flags & FLAG_WANT_ACK ,
 		isAck = flags & FLAG_IS_ACK ,
 		isNack = flags & FLAG_IS_NACK ,
 		hasData = flags & FLAG_HAS_DATA ,
 		fragmented = flags & FLAG_FRAGMENTED ,
 		compressedData = flags & FLAG_COMPRESSED_DATA ,
 		encryptedData = flags & FLAG_ENCRYPTED_DATA ,
-		isSession = flags & FLAG_SESSION ;
+		isSession = flags & FLAG_SESSION ,
+		isError = flags & FLAG_ERROR ,
+		hasSequence = flags & FLAG_SEQUENCE ,
+		hasChecksum = flags & FLAG_CHECKSUM ,
+		hasCodec = flags & FLAG_CODEC ,
+		hasSessionSequence = flags & FLAG_SESSION_SEQUENCE ,
+		hasRetryToken = flags & FLAG_RETRY_TOKEN ;
+
+	if ( hasChecksum ) {
+		// Check it first, nothing else can be trusted if the packet is corrupted
+		if ( buffer.length < MIN_HEADER_SIZE + CHECKSUM_SIZE ) {
+			logger.error( "Received bad message from [%s]:%i (message with checksum shorter than %i)" , sender.address , sender.port , MIN_HEADER_SIZE + CHECKSUM_SIZE ) ;
+			return null ;
+		}
+
+		if ( buffer.readUInt32BE( MIN_HEADER_SIZE ) !== getPacketChecksum( buffer ) ) {
+			throw new common.ChecksumError( "Packet checksum mismatch" ) ;
+		}
+
+		expectedSize += CHECKSUM_SIZE ;
+		if ( fragmented && hasData ) { expectedSize += CHECKSUM_SIZE ; }
+	}
 
 	if ( wantAck && ( isAck || isNack ) ) {
-		log.error( "Received bad message from [%s]:%i (ack/nack should not ask for ack)" , sender.address , sender.port ) ;
+		logger.error( "Received bad message from [%s]:%i (ack/nack should not ask for ack)" , sender.address , sender.port ) ;
 		return null ;
 	}
 
 	if ( isSession ) {
-		if ( this.enableSession ) {
-			log.error( "Received session from [%s]:%i but they are disabled on this server" , sender.address , sender.port ) ;
-			return null ;
+		if ( ! enableSession ) {
+			throw new common.UnsupportedError( "sessions are disabled on this server" ) ;
 		}
 
 		expectedSize += SESSION_SIZE ;
+		if ( hasSessionSequence ) { expectedSize += SESSION_SEQUENCE_SIZE ; }
+	}
+	else if ( hasSessionSequence ) {
+		logger.error( "Received bad message from [%s]:%i (flag session sequence cannot be present without the session flag)" , sender.address , sender.port ) ;
+		return null ;
+	}
+
+	if ( hasRetryToken ) { expectedSize += common.RETRY_TOKEN_SIZE ; }
+
+	if ( hasSequence ) {
+		if ( isAck || isNack ) {
+			logger.error( "Received bad message from [%s]:%i (ack/nack should not have a sequence)" , sender.address , sender.port ) ;
+			return null ;
+		}
+
+		expectedSize += SEQUENCE_SIZE ;
 	}
 
 	if ( fragmented ) { expectedSize += 4 ; }
 
 	if ( hasData ) {
 		if ( isAck || isNack ) {
-			log.error( "Received bad message from [%s]:%i (ack/nack should not contain data)" , sender.address , sender.port ) ;
+			logger.error( "Received bad message from [%s]:%i (ack/nack should not contain data)" , sender.address , sender.port ) ;
 			return null ;
 		}
 
 		if ( buffer.length <= expectedSize ) {
 			// Also the data segment should have at least 1 byte
-			log.error( "Received bad message from [%s]:%i (expecting message with data of at least %iB)" , sender.address , sender.port , expectedSize + 1 ) ;
+			logger.error( "Received bad message from [%s]:%i (expecting message with data of at least %iB)" , sender.address , sender.port , expectedSize + 1 ) ;
+			return null ;
+		}
+
+		if ( hasCodec && ! compressedData ) {
+			logger.error( "Received bad message from [%s]:%i (flag codec cannot be present without the compressedData flag)" , sender.address , sender.port ) ;
 			return null ;
 		}
 	}
 	else {
-		if ( compressedData || encryptedData ) {
-			log.error( "Received bad message from [%s]:%i (flags fragmented, compressedData or encryptedData cannot be present without the hasData flag)" , sender.address , sender.port ) ;
+		if ( compressedData || encryptedData || hasCodec ) {
+			logger.error( "Received bad message from [%s]:%i (flags fragmented, compressedData, encryptedData or codec cannot be present without the hasData flag)" , sender.address , sender.port ) ;
 			return null ;
 		}
 
 		if ( buffer.length !== expectedSize ) {
-			log.error( "Received bad message from [%s]:%i (expecting message without data to have exactly %iB)" , sender.address , sender.port ) ;
+			logger.error( "Received bad message from [%s]:%i (expecting message without data to have exactly %iB)" , sender.address , sender.port ) ;
 			return null ;
 		}
 	}
@@ -810,14 +4023,19 @@ Message.decode = function( buffer , sender , protocolSignature , supportedComman
 	var type = String.fromCharCode( buffer[ 6 ] ) ;
 
 	if ( ! TYPES.has( type ) ) {
-		log.error( "Received bad message from [%s]:%i (unknown type: '%s')" , sender.address , sender.port , type ) ;
+		logger.error( "Received bad message from [%s]:%i (unknown type: '%s')" , sender.address , sender.port , type ) ;
+		return null ;
+	}
+
+	if ( isError && ! RESPONSE_TYPES.has( type ) ) {
+		logger.error( "Received bad message from [%s]:%i (only responses can be errors, type: '%s')" , sender.address , sender.port , type ) ;
 		return null ;
 	}
 
 	var command = buffer.toString( 'ascii' , 7 , 11 ) ;
 
 	if ( supportedCommands && supportedCommands.has( command ) ) {
-		log.error( "Received bad message from [%s]:%i (unknown command: '%s')" , sender.address , sender.port , command ) ;
+		logger.error( "Received bad message from [%s]:%i (unknown command: '%s')" , sender.address , sender.port , command ) ;
 		return null ;
 	}
 
@@ -835,15 +4053,52 @@ Message.decode = function( buffer , sender , protocolSignature , supportedComman
 	message.isNack = !! isNack ;
 	message.fragmented = !! fragmented ;
 	message.compressedData = !! compressedData ;
+	message.codecId = hasCodec ? null : 0 ;
+	message.codecs = codecs ;
 	message.encryptedData = !! encryptedData ;
+	message.version = version ;
+	message.isError = !! isError ;
+	message.checksum = !! hasChecksum ;
 	message.binaryDataParams = binaryDataParams ;
+	message.wireSize = buffer.length ;
 
 
 	var ptr = MIN_HEADER_SIZE ;
 
+	if ( hasChecksum ) {
+		ptr += CHECKSUM_SIZE ;
+
+		if ( fragmented && hasData ) {
+			message.dataChecksum = buffer.readUInt32BE( ptr ) ;
+			ptr += CHECKSUM_SIZE ;
+		}
+	}
+
 	if ( isSession ) {
 		message.sessionId = buffer.toString( 'hex' , ptr , ptr + SESSION_SIZE ) ;
 		ptr += SESSION_SIZE ;
+
+		if ( hasSessionSequence ) {
+			message.sessionSequence = buffer.readUInt32BE( ptr ) ;
+			ptr += SESSION_SEQUENCE_SIZE ;
+		}
+	}
+
+	if ( hasRetryToken ) {
+		message.retryToken = Buffer.from( buffer.subarray( ptr , ptr + common.RETRY_TOKEN_SIZE ) ) ;
+		ptr += common.RETRY_TOKEN_SIZE ;
+	}
+
+	if ( hasSequence ) {
+		message.channel = buffer.readUInt8( ptr ) ;
+		message.delivery = buffer.readUInt8( ptr + 1 ) ;
+		message.sequence = buffer.readUInt32BE( ptr + 2 ) ;
+		ptr += SEQUENCE_SIZE ;
+
+		if ( message.delivery > DELIVERY_RELIABLE_ORDERED ) {
+			logger.error( "Received bad message from [%s]:%i (unknown delivery mode: %i)" , sender.address , sender.port , message.delivery ) ;
+			return null ;
+		}
 	}
 
 	if ( fragmented ) {
@@ -866,6 +4121,7 @@ Message.decode = function( buffer , sender , protocolSignature , supportedComman
 Message.prototype.encode = function( maxBufferSize = 0 ) {
 	var headerSize = MIN_HEADER_SIZE ,
 		hasData = false ,
+		payload = null ,
 		flags = 0 ,
 		fragments = 1 ,
 		fragmentSize = 0 ;
@@ -873,36 +4129,46 @@ Message.prototype.encode = function( maxBufferSize = 0 ) {
 	if ( this.wantAck ) { flags += FLAG_WANT_ACK ; }
 	if ( this.isAck ) { flags += FLAG_IS_ACK ; }
 	if ( this.isNack ) { flags += FLAG_IS_NACK ; }
+	if ( this.checksum ) { flags += FLAG_CHECKSUM ; headerSize += CHECKSUM_SIZE ; }
 	if ( this.sessionId ) { flags += FLAG_SESSION ; headerSize += SESSION_SIZE ; }
+	if ( this.sessionId && this.sessionSequence !== null ) { flags += FLAG_SESSION_SEQUENCE ; headerSize += SESSION_SEQUENCE_SIZE ; }
+	if ( this.retryToken ) { flags += FLAG_RETRY_TOKEN ; headerSize += common.RETRY_TOKEN_SIZE ; }
+	if ( this.isError ) { flags += FLAG_ERROR ; }
+	if ( this.channel !== null ) { flags += FLAG_SEQUENCE ; headerSize += SEQUENCE_SIZE ; }
 
-	if ( this.data !== undefined ) {
+	if ( this.hasData() ) {
 		flags += FLAG_HAS_DATA ;
 		hasData = true ;
 		//if ( this.fragmented ) { flags += FLAG_FRAGMENTED ; headerSize += 4 ; }
-		if ( this.compressedData ) { flags += FLAG_COMPRESSED_DATA ; }
-		if ( this.encryptedData ) { flags += FLAG_ENCRYPTED_DATA ; }
 
-		// Encode data NOW: we need to know if we will fragment it
+		// Encode data NOW: we need to know if we will fragment it, and if it was worth compressing it
 		this.encodeData() ;
+		if ( this.compressedData ) { flags += FLAG_COMPRESSED_DATA ; }
+		if ( this.compressedData && this.codecId !== 0 ) { flags += FLAG_CODEC ; }
+		if ( this.encryptedData ) { flags += FLAG_ENCRYPTED_DATA ; }
+		payload = this.encryptedData ? this.encryptData() : this.dataBuffer ;
 
 		log.hdebug( "Max buffer size: %iB" , maxBufferSize ) ;
 		if ( maxBufferSize > 0 ) {
-			log.hdebug( "Packet size: %i + %i = %iB" , headerSize , this.dataBuffer.length , headerSize + this.dataBuffer.length ) ;
-			if ( headerSize + this.dataBuffer.length > maxBufferSize ) {
+			log.hdebug( "Packet size: %i + %i = %iB" , headerSize , payload.length , headerSize + payload.length ) ;
+			if ( headerSize + payload.length > maxBufferSize ) {
 				log.hdebug( "Will fragment!" ) ;
 				// Mark as fragmented
 				this.fragmented = true ;
 				flags += FLAG_FRAGMENTED ;
 				headerSize += 4 ;
 
+				// The data checksum
+				if ( this.checksum ) { headerSize += CHECKSUM_SIZE ; }
+
 				let maxDataSize = maxBufferSize - headerSize ;
 
 				if ( maxDataSize <= MIN_DATA_FRAGMENT_SIZE ) {
 					throw new Error( "Message#encode(): maxBufferSize is too small (" + maxBufferSize + " but the minimum is: " + ( headerSize + MIN_DATA_FRAGMENT_SIZE ) + ")" ) ;
 				}
 
-				this.fragments = fragments = Math.ceil( this.dataBuffer.length / maxDataSize ) ;
-				fragmentSize = Math.ceil( this.dataBuffer.length / fragments ) ;
+				this.fragments = fragments = Math.ceil( payload.length / maxDataSize ) ;
+				fragmentSize = Math.ceil( payload.length / fragments ) ;
 			}
 		}
 	}
@@ -911,9 +4177,13 @@ Message.prototype.encode = function( maxBufferSize = 0 ) {
 		headerSize += 4 ;
 	}
 
+	// Legacy peers only decode version 0, which is the same format when no newer flag is used
+	let version = this.version ;
+	if ( version && ! ( flags & ~ VERSION_FLAGS[ 0 ] ) ) { version = 0 ; flags += FLAG_VERSION_1 ; }
+
 	let headBuffer = Buffer.allocUnsafe( headerSize ) ;
 	headBuffer.write( this.protocolSignature , 0 , 3 , 'ascii' ) ;
-	headBuffer[ 3 ] = 0x00 ;
+	headBuffer[ 3 ] = version ;
 	headBuffer.writeUInt16BE( flags , 4 ) ;
 	headBuffer.write( this.type , 6 , 7 , 'ascii' ) ;
 	headBuffer.write( this.command , 7 , 11 , 'ascii' ) ;
@@ -921,35 +4191,66 @@ Message.prototype.encode = function( maxBufferSize = 0 ) {
 
 	let ptr = MIN_HEADER_SIZE ;
 
+	if ( this.checksum ) {
+		// The packet checksum is written once the packet is complete
+		ptr += CHECKSUM_SIZE ;
+
+		if ( fragments > 1 ) {
+			headBuffer.writeUInt32BE( common.crc32c( payload ) , ptr ) ;
+			ptr += CHECKSUM_SIZE ;
+		}
+	}
+
 	if ( this.sessionId ) {
 		headBuffer.write( this.sessionId , ptr , SESSION_SIZE , 'hex' ) ;
 		ptr += SESSION_SIZE ;
 	}
 
+	if ( this.sessionId && this.sessionSequence !== null ) {
+		headBuffer.writeUInt32BE( this.sessionSequence , ptr ) ;
+		ptr += SESSION_SEQUENCE_SIZE ;
+	}
+
+	if ( this.retryToken ) {
+		this.retryToken.copy( headBuffer , ptr ) ;
+		ptr += common.RETRY_TOKEN_SIZE ;
+	}
+
+	if ( this.channel !== null ) {
+		this.writeSequence( headBuffer , ptr ) ;
+		ptr += SEQUENCE_SIZE ;
+	}
+
 	if ( this.fragmented && ( this.isAck || this.isNack ) ) {
 		// Do not write actual fragments, but this.fragments
 		headBuffer.writeUInt16BE( this.fragmentIndex , ptr ) ;
 		headBuffer.writeUInt16BE( this.fragments , ptr + 2 ) ;
 	}
 
-	if ( ! hasData ) { return [ headBuffer ] ; }
+	let buffers = [] ;
 
-	if ( fragments === 1 ) {
-		return [ Buffer.concat( [ headBuffer , this.dataBuffer ] ) ] ;
+	if ( ! hasData ) {
+		buffers.push( headBuffer ) ;
 	}
+	else if ( fragments === 1 ) {
+		buffers.push( Buffer.concat( [ headBuffer , payload ] ) ) ;
+	}
+	else {
+		// Packet spliting
 
-	// Packet spliting
-
-	headBuffer.writeUInt16BE( fragments , ptr + 2 ) ;
+		headBuffer.writeUInt16BE( fragments , ptr + 2 ) ;
 
-	let buffers = [] ;
+		for ( let i = 0 ; i < fragments ; i ++ ) {
+			// Write fragment index
+			headBuffer.writeUInt16BE( i , ptr ) ;
 
-	for ( let i = 0 ; i < fragments ; i ++ ) {
-		// Write fragment index
-		headBuffer.writeUInt16BE( i , ptr ) ;
+			let offset = fragmentSize * i ;
+			buffers.push( Buffer.concat( [ headBuffer , payload.slice( offset , offset + fragmentSize ) ] ) ) ;
+		}
+	}
 
-		let offset = fragmentSize * i ;
-		buffers.push( Buffer.concat( [ headBuffer , this.dataBuffer.slice( offset , offset + fragmentSize ) ] ) ) ;
+	if ( this.checksum ) {
+		for ( let buffer of buffers ) { buffer.writeUInt32BE( getPacketChecksum( buffer ) , MIN_HEADER_SIZE ) ; }
 	}
 
 	return buffers ;
@@ -957,6 +4258,13 @@ Message.prototype.encode = function( maxBufferSize = 0 ) {
 
 
 
+// The CRC32C of the whole packet, except the checksum itself
+function getPacketChecksum( buffer ) {
+	return common.crc32c( buffer.subarray( MIN_HEADER_SIZE + CHECKSUM_SIZE ) , common.crc32c( buffer.subarray( 0 , MIN_HEADER_SIZE ) ) ) ;
+}
+
+
+
 Message.prototype.debugStr = function() {
 	var parts = [] ;
 
@@ -972,9 +4280,10 @@ Message.prototype.debugStr = function() {
 	if ( this.reassembled ) { flags += ' rasm' ; }	// pseudo-flag
 	if ( this.compressedData ) { flags += ' cmpr' ; }
 	if ( this.encryptedData ) { flags += ' enc' ; }
+	if ( this.checksum ) { flags += ' crc' ; }
 	parts.push( 'flags:' + ( flags || ' none' ) ) ;
 
-	if ( this.sessionId ) { parts.push( 'sessionId: ' + this.sessionId ) ; }
+	if ( this.sessionId ) { parts.push( 'sessionId: ' + this.sessionId + ( this.sessionSequence !== null ? ' #' + this.sessionSequence : '' ) ) ; }
 	if ( this.fragments > 1 ) { parts.push( 'fragment: ' + this.fragmentIndex + '/' + this.fragments ) ; }
 
 	if ( this.data ) { parts.push( 'data: ' + JSON.stringify( this.data ) ) ; }
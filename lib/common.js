@@ -29,6 +29,7 @@
 
 
 const crypto = require( 'crypto' ) ;
+const net = require( 'net' ) ;
 
 //const Logfella = require( 'logfella' ) ;
 //const log = Logfella.global.use( 'Q3Client' ) ;
@@ -47,17 +48,233 @@ exports.TimeoutError = TimeoutError ;
 
 
 
+function ClosedError( message ) {
+	this.message = message ;
+	this.code = 'closed' ;
+}
+
+ClosedError.prototype = Object.create( Error.prototype ) ;
+ClosedError.prototype.constructor = ClosedError ;
+
+exports.ClosedError = ClosedError ;
+
+
+
+// An error thrown by a remote handler, sent back as an error response
+function RemoteError( message , code , remoteName ) {
+	this.message = message ;
+	this.code = code || 'remote' ;
+	this.remoteName = remoteName || 'Error' ;
+}
+
+RemoteError.prototype = Object.create( Error.prototype ) ;
+RemoteError.prototype.constructor = RemoteError ;
+
+exports.RemoteError = RemoteError ;
+
+
+
+// A packet or a reassembled message that failed its checksum
+function ChecksumError( message ) {
+	this.message = message ;
+	this.code = 'checksum' ;
+}
+
+ChecksumError.prototype = Object.create( Error.prototype ) ;
+ChecksumError.prototype.constructor = ChecksumError ;
+
+exports.ChecksumError = ChecksumError ;
+
+
+
+// A packet that is valid, but uses something this side doesn't support (e.g. a newer protocol version)
+function UnsupportedError( message ) {
+	this.message = message ;
+	this.code = 'unsupported' ;
+}
+
+UnsupportedError.prototype = Object.create( Error.prototype ) ;
+UnsupportedError.prototype.constructor = UnsupportedError ;
+
+exports.UnsupportedError = UnsupportedError ;
+
+
+
+// An outgoing message dropped by a middleware
+function DroppedError( message ) {
+	this.message = message ;
+	this.code = 'dropped' ;
+}
+
+DroppedError.prototype = Object.create( Error.prototype ) ;
+DroppedError.prototype.constructor = DroppedError ;
+
+exports.DroppedError = DroppedError ;
+
+
+
+// An outgoing message bigger than what the receiver accepts (maxMessageSize or maxFragments)
+function TooBigError( message ) {
+	this.message = message ;
+	this.code = 'tooBig' ;
+}
+
+TooBigError.prototype = Object.create( Error.prototype ) ;
+TooBigError.prototype.constructor = TooBigError ;
+
+exports.TooBigError = TooBigError ;
+
+
+
+// Address objects built by userland usually lack the family, so it is guessed from the address when missing.
+// IPv4-mapped IPv6 addresses (received on a dual-stack socket) produce the same ID than the IPv4 address.
 exports.getAddressId = address => {
-	if ( address.family === 'IPv4' ) { return address.address + ':' + address.port ; }
-	if ( address.family === 'IPv6' ) { return '[' + address.address + ']:' + address.port ; }
+	address = exports.normalizeAddress( address ) ;
+	var family = address.family || ( net.isIPv6( address.address ) ? 'IPv6' : net.isIPv4( address.address ) ? 'IPv4' : null ) ;
+	if ( family === 'IPv4' ) { return address.address + ':' + address.port ; }
+	if ( family === 'IPv6' ) { return '[' + address.address + ']:' + address.port ; }
 	return null ;
 } ;
 
 
 
+const IPV4_MAPPED_REGEXP = /^::ffff:([0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3}\.[0-9]{1,3})$/i ;
+
+// Convert an IPv4-mapped IPv6 address object to an IPv4 address object, return the same object if it's not mapped
+exports.normalizeAddress = address => {
+	var match = typeof address.address === 'string' && address.address.match( IPV4_MAPPED_REGEXP ) ;
+	if ( ! match ) { return address ; }
+	return Object.assign( {} , address , { address: match[ 1 ] , family: 'IPv4' } ) ;
+} ;
+
+
+
+exports.isIPv6Address = address => {
+	address = exports.normalizeAddress( address ) ;
+	return address.family ? address.family === 'IPv6' : net.isIPv6( address.address ) ;
+} ;
+
+
+
 //const webcrypto = require('node:crypto').webcrypto ;
 //const randomStore = new Uint32Array( 1 ) ;
 //exports.getRandomUInt32 = () => crypto.getRandomValues( randomStore )[ 0 ] ;
 //exports.getRandomUInt32 = () => webcrypto.getRandomValues( randomStore )[ 0 ] ;
 exports.getPseudoRandomUInt32 = () => ( Math.round( Math.random() * 65536 ) * 65536 ) + Math.round( Math.random() * 65536 ) ;
 
+
+// Cryptographically secure random ID, as an hex string
+exports.getRandomHexId = bytes => crypto.randomBytes( bytes ).toString( 'hex' ) ;
+
+
+
+// CRC32C (Castagnoli), crc is the result of a previous call, to checksum multiple buffers as if they were concatenated
+const CRC32C_TABLE = new Int32Array( 256 ) ;
+
+for ( let i = 0 ; i < 256 ; i ++ ) {
+	let crc = i ;
+	for ( let j = 0 ; j < 8 ; j ++ ) { crc = crc & 1 ? ( crc >>> 1 ) ^ 0x82f63b78 : crc >>> 1 ; }
+	CRC32C_TABLE[ i ] = crc ;
+}
+
+exports.crc32c = ( buffer , crc = 0 ) => {
+	crc = ~ crc ;
+	for ( let i = 0 ; i < buffer.length ; i ++ ) { crc = CRC32C_TABLE[ ( crc ^ buffer[ i ] ) & 0xff ] ^ ( crc >>> 8 ) ; }
+	return ( ~ crc ) >>> 0 ;
+} ;
+
+
+
+/*
+	Retry token, proving that the sender of a query receives what is sent to its address, it is stateless on the server-side:
+	<time in s>(uint32 4) <HMAC-SHA256 of the time and the address ID>(12)
+*/
+
+const RETRY_TOKEN_SIZE = exports.RETRY_TOKEN_SIZE = 16 ;
+
+exports.createRetryToken = ( secret , address , time = Date.now() ) => {
+	var token = Buffer.allocUnsafe( RETRY_TOKEN_SIZE ) ;
+	token.writeUInt32BE( Math.floor( time / 1000 ) , 0 ) ;
+	retryTokenHmac( secret , token.subarray( 0 , 4 ) , address ).copy( token , 4 , 0 , RETRY_TOKEN_SIZE - 4 ) ;
+	return token ;
+} ;
+
+// Return true if the token was created by us, for this address, and is not older than maxAge (ms)
+exports.checkRetryToken = ( secret , address , token , maxAge ) => {
+	if ( ! token || token.length !== RETRY_TOKEN_SIZE ) { return false ; }
+
+	var age = Date.now() - token.readUInt32BE( 0 ) * 1000 ;
+	if ( age < - 1000 || age > maxAge ) { return false ; }
+
+	var hmac = retryTokenHmac( secret , token.subarray( 0 , 4 ) , address ).subarray( 0 , RETRY_TOKEN_SIZE - 4 ) ;
+	return crypto.timingSafeEqual( hmac , token.subarray( 4 ) ) ;
+} ;
+
+function retryTokenHmac( secret , timeBuffer , address ) {
+	return crypto.createHmac( 'sha256' , secret ).update( timeBuffer ).update( exports.getAddressId( address ) ).digest() ;
+}
+
+
+
+/*
+	Session encryption: X25519 key exchange, HKDF key derivation, and AES-256-GCM authenticated encryption.
+*/
+
+const X25519_SPKI_PREFIX = Buffer.from( '302a300506032b656e032100' , 'hex' ) ;
+const X25519_KEY_SIZE = exports.X25519_KEY_SIZE = 32 ;
+const CIPHER = 'aes-256-gcm' ;
+const IV_SIZE = 12 ;
+const TAG_SIZE = 16 ;
+
+// Create a key pair, the public key is exported as a raw buffer, ready to be sent
+exports.createKeyExchange = () => {
+	var { publicKey , privateKey } = crypto.generateKeyPairSync( 'x25519' ) ;
+	return { privateKey , publicKey: publicKey.export( { type: 'spki' , format: 'der' } ).subarray( - X25519_KEY_SIZE ) } ;
+} ;
+
+// Return the two keys (one per direction), throw if the peer's public key is invalid
+exports.deriveSessionKeys = ( privateKey , peerPublicKey , sessionId , isInitiator ) => {
+	if ( peerPublicKey.length !== X25519_KEY_SIZE ) { throw new Error( "Bad X25519 public key size: " + peerPublicKey.length ) ; }
+
+	var publicKey = crypto.createPublicKey( { key: Buffer.concat( [ X25519_SPKI_PREFIX , peerPublicKey ] ) , format: 'der' , type: 'spki' } ) ,
+		secret = crypto.diffieHellman( { privateKey , publicKey } ) ,
+		salt = Buffer.from( sessionId , 'hex' ) ,
+		initiatorKey = Buffer.from( crypto.hkdfSync( 'sha256' , secret , salt , 'UniProtocol initiator' , 32 ) ) ,
+		responderKey = Buffer.from( crypto.hkdfSync( 'sha256' , secret , salt , 'UniProtocol responder' , 32 ) ) ;
+
+	return isInitiator ?
+		{ encryptionKey: initiatorKey , decryptionKey: responderKey } :
+		{ encryptionKey: responderKey , decryptionKey: initiatorKey } ;
+} ;
+
+// XOR the buffer with the base buffer, bytes beyond the base's length are left as is, used for frame delta
+exports.xorBuffers = ( buffer , base ) => {
+	var output = Buffer.from( buffer ) ,
+		length = Math.min( buffer.length , base.length ) ;
+
+	for ( let i = 0 ; i < length ; i ++ ) { output[ i ] ^= base[ i ] ; }
+	return output ;
+} ;
+
+
+
+// Output: <IV>(12) <ciphertext> <auth tag>(16)
+exports.encrypt = ( key , buffer , associatedData ) => {
+	var iv = crypto.randomBytes( IV_SIZE ) ,
+		cipher = crypto.createCipheriv( CIPHER , key , iv ) ;
+
+	cipher.setAAD( associatedData ) ;
+	var encrypted = Buffer.concat( [ cipher.update( buffer ) , cipher.final() ] ) ;
+	return Buffer.concat( [ iv , encrypted , cipher.getAuthTag() ] ) ;
+} ;
+
+// Throw if the auth tag does not match
+exports.decrypt = ( key , buffer , associatedData ) => {
+	if ( buffer.length < IV_SIZE + TAG_SIZE ) { throw new Error( "Encrypted buffer too short" ) ; }
+
+	var decipher = crypto.createDecipheriv( CIPHER , key , buffer.subarray( 0 , IV_SIZE ) ) ;
+	decipher.setAAD( associatedData ) ;
+	decipher.setAuthTag( buffer.subarray( buffer.length - TAG_SIZE ) ) ;
+	return Buffer.concat( [ decipher.update( buffer.subarray( IV_SIZE , buffer.length - TAG_SIZE ) ) , decipher.final() ] ) ;
+} ;
+
@@ -42,19 +42,7 @@ function Client( masterServerList , params = {} ) {
 	this.uniClient = new UniProtocol( {
 		protocolSignature: 'UNM' ,
 		maxPacketSize: UniProtocol.IPv4_MTU ,
-		binaryDataParams: {
-			perCommand: {
-				Rserv: {
-					model: protocol.serverList
-				} ,
-				Rinfo: {
-					referenceStrings: true ,
-					initialStringReferences: [
-						'service' , 'mod' , 'protocol' , 'hasPassword' , 'humans' , 'bots' , 'maxClients'
-					]
-				}
-			}
-		}
+		schema: protocol.schema
 	} ) ;
 
 	this.masterTimeout = + params.masterTimeout || 2000 ;
@@ -103,8 +91,8 @@ Client.prototype.getAllServiceProviders = async function() {
 
 	await Promise.map( serverMap.keys() , serverId => {
 		let server = serverMap.get( serverId ) ;
-		return this.uniClient.sendQuery( server.address , 'info' , undefined , { retries: 3 } )
-			.then( message => server.info = message.decodeData() )
+		return this.uniClient.call( server.address , 'info' , undefined , { retries: 3 } )
+			.then( info => server.info = info )
 			.catch( error => server.error = error ) ;
 	} ) ;
 
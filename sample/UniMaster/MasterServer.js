@@ -45,19 +45,10 @@ function MasterServer( params ) {
 		protocolSignature: 'UNM' ,
 		serverPort: params.port || 1234 ,
 		maxPacketSize: UniProtocol.IPv4_MTU ,
-		binaryDataParams: {
-			perCommand: {
-				Rserv: {
-					model: protocol.serverList
-				} ,
-				Rinfo: {
-					referenceStrings: true ,
-					initialStringReferences: [
-						'service' , 'mod' , 'protocol' , 'hasPassword' , 'humans' , 'bots' , 'maxClients'
-					]
-				}
-			}
-		}
+		keepAliveInterval: 20 * 1000 ,
+		peerTimeout: 60 * 1000 ,
+		amplificationRatio: 3 ,
+		schema: protocol.schema
 	} ) ;
 
 	// How many time do we keep a service provider without receiving any heartbeat/hello
@@ -81,6 +72,7 @@ MasterServer.prototype.start = function() {
 	// Debug:
 	this.uniServer.on( 'message' , message => { message.decodeData() ; log.info( "Received message: %s\n" , message.debugStr() ) ; } ) ;
 
+	this.uniServer.on( 'peer-timeout' , peer => this.removeServer( peer.address ) ) ;
 	this.uniServer.incoming.on( 'Hhelo' , message => this.receiveHello( message ) ) ;
 	this.uniServer.incoming.on( 'Hbbye' , message => this.receiveBye( message ) ) ;
 	this.uniServer.incoming.on( 'Khrtb' , message => this.receiveHeartbeat( message ) ) ;
@@ -146,7 +138,7 @@ MasterServer.prototype.sendServiceProviderList = function( message ) {
 			serverList.ipv4List.push( serverData.ipv4 ) ;
 		}
 		else if ( serverData.ipv6 ) {
-			serverList.ipv4List.push( serverData.ipv6 ) ;
+			serverList.ipv6List.push( serverData.ipv6 ) ;
 		}
 	}
 
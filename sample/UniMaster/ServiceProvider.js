@@ -43,16 +43,8 @@ function ServiceProvider( masterServerList , params = {} ) {
 	this.uniServer = new UniProtocol( {
 		protocolSignature: 'UNM' ,
 		maxPacketSize: UniProtocol.IPv4_MTU ,
-		binaryDataParams: {
-			perCommand: {
-				Rinfo: {
-					referenceStrings: true ,
-					initialStringReferences: [
-						'service' , 'mod' , 'protocol' , 'hasPassword' , 'humans' , 'bots' , 'maxClients'
-					]
-				}
-			}
-		}
+		amplificationRatio: 3 ,
+		schema: protocol.schema
 	} ) ;
 
 	//this.masterTimeout = + params.masterTimeout || 2000 ;
@@ -66,20 +58,36 @@ module.exports = ServiceProvider ;
 
 
 
-ServiceProvider.prototype.start = function() {
+ServiceProvider.prototype.start = async function() {
 	log.info( "My IP: %s" , UniProtocol.ip.address() ) ;
 	//term( "Interfaces: %Y\n" , os.networkInterfaces() ) ;
 
 	//console.log( "UniServer:" , server ) ;
 
-	this.uniServer.startServer() ;
-
 	// Debug:
 	this.uniServer.on( 'message' , message => { message.decodeData() ; log.info( "Received message: %s\n" , message.debugStr() ) ; } ) ;
 
-	setTimeout( () => this.helloToMasterServers() , 50 ) ;
+	this.uniServer.handle( 'info' , () => this.getInfo() ) ;
+
+	// Hello and heartbeat are sent from the listening port, so master servers register the right port
+	await this.uniServer.start() ;
+	this.helloToMasterServers() ;
 	this.notifyTimer = setInterval( () => this.notifyToMasterServers() , 10000 ) ;
-	this.uniServer.incoming.on( 'Qinfo' , message => this.sendInfo( message ) ) ;
+} ;
+
+
+
+/*
+	Say bye to master servers and close everything.
+*/
+ServiceProvider.prototype.stop = async function() {
+	if ( this.notifyTimer ) {
+		clearInterval( this.notifyTimer ) ;
+		this.notifyTimer = null ;
+	}
+
+	// Master servers are known peers: they query our info after each hello
+	await this.uniServer.close( { bye: true } ) ;
 } ;
 
 
@@ -107,11 +115,11 @@ ServiceProvider.prototype.updateInfo = function( info ) {
 
 
 /*
-	Send a server info to a client.
+	Handler of the 'info' query.
 */
-ServiceProvider.prototype.sendInfo = function( message ) {
-	log.hdebug( "Received %s => sending info %n" , message.debugStr() , this.info ) ;
-	this.uniServer.sendResponseFor( message , this.info ) ;
+ServiceProvider.prototype.getInfo = function() {
+	log.hdebug( "Sending info %n" , this.info ) ;
+	return this.info ;
 } ;
 
 
@@ -44,3 +44,20 @@ const serverList = exports.serverList = new DataModel.SealedObject( [
 	[ 'ipv6List' , ipv6List ]
 ] ) ;
 
+// Service provider info, binaryDataParams of the 'info' response
+const info = exports.info = {
+	referenceStrings: true ,
+	initialStringReferences: [
+		'service' , 'mod' , 'protocol' , 'hasPassword' , 'humans' , 'bots' , 'maxClients'
+	]
+} ;
+
+// All UniMaster commands, loaded by master servers, service providers and clients
+exports.schema = new UniProtocol.ProtocolSchema( {
+	serv: { types: 'QR' , response: serverList } ,
+	info: { types: 'QR' , response: info } ,
+	helo: { types: 'H' } ,
+	bbye: { types: 'H' } ,
+	hrtb: { types: 'K' }
+} , { strict: true } ) ;
+
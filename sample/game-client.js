@@ -71,13 +71,7 @@ async function cli() {
 async function run( config ) {
 	var client = new UniProtocol( {
 		maxPacketSize: UniProtocol.IPv4_MTU ,
-		binaryDataParams: {
-			perCommand: {
-				Rstat: {
-					model: gameData.gameState
-				}
-			}
-		}
+		schema: gameData.schema
 	} ) ;
 	//console.log( "UniClient:" , client ) ;
 
@@ -91,8 +85,8 @@ async function run( config ) {
 	var dest = { address: config.server , port: config.port } ;
 	
 	var data = "Start: " + ( "a big string, ".repeat( 200 ) ) + "end..." ;
-	var message = client.createMessage( 'Q' , 'stat' ) ;
-	client.sendMessage( dest , message ) ;
+	// Ask for the game state, the server will send frames (Fstat), stale frames are dropped
+	client.sendHello( dest , 'join' ) ;
 }
 
 
@@ -49,3 +49,10 @@ const entityModel = exports.entity = new DataModel.SealedObject( [
 
 const gameState = exports.gameState = new DataModel.TypedArray( entityModel ) ;
 
+// Loaded by both the server and the clients
+exports.schema = new UniProtocol.ProtocolSchema( {
+	stat: { types: 'F' , request: gameState } ,
+	join: { types: 'H' } ,
+	bbye: { types: 'H' }
+} ) ;
+
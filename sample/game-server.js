@@ -81,28 +81,39 @@ async function run( config ) {
 	var server = new UniProtocol( {
 		serverPort: config.port ,
 		maxPacketSize: UniProtocol.IPv4_MTU ,
-		binaryDataParams: {
-			perCommand: {
-				Rstat: {
-					model: gameData.gameState
-				}
-			}
-		}
+		schema: gameData.schema
 	} ) ;
 	//console.log( "UniServer:" , server ) ;
 
+	var clients = new Map() ,
+		frameId = 0 ;
+
 	server.startServer() ;
 
 	server.on( 'message' , message => {
 		message.decodeData() ;
 		term( "Received message: %s\n" , message.debugStr() ) ;
+	} ) ;
+
+	server.incoming.on( 'Hjoin' , message => clients.set( UniProtocol.common.getAddressId( message.sender ) , message.sender ) ) ;
+	server.incoming.on( 'Hbbye' , message => clients.delete( UniProtocol.common.getAddressId( message.sender ) ) ) ;
 
-		if ( message.type === 'Q' && message.command === 'stat' ) {
-			
-			let response = server.createMessageWithAck( 'R' , 'stat' , undefined , GAMESTATE ) ;
-			server.sendMessage( message.sender , response ) ;
+	// Send the game state to all clients 10 times per second, each frame is a delta of the last one acked by the client
+	setInterval( () => {
+		frameId ++ ;
+
+		for ( let entity of GAMESTATE ) {
+			entity.position.x += entity.speed.x / 10 ;
+			entity.position.y += entity.speed.y / 10 ;
+			entity.position.z += entity.speed.z / 10 ;
 		}
-	} ) ;
+
+		for ( let client of clients.values() ) {
+			server.sendFrame( client , 'stat' , frameId , GAMESTATE ).catch( error => {
+				term.red( "Can't send frame #%i to %s:%i: %s\n" , frameId , client.address , client.port , error.message ) ;
+			} ) ;
+		}
+	} , 100 ) ;
 }
 
 
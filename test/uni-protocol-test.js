@@ -29,11 +29,1486 @@
 
 
 const uniProtocol = require( '..' ) ;
+const common = uniProtocol.common ;
+const RateLimiter = require( '../lib/RateLimiter.js' ) ;
 
+const jsbindat = require( 'jsbindat' ) ;
 
+const crypto = require( 'crypto' ) ;
+const zlib = require( 'zlib' ) ;
+const dgram = require( 'dgram' ) ;
+const Readable = require( 'stream' ).Readable ;
 
-describe( "..." , () => {
-	
-	it( "..." ) ;
+
+
+const localhost = '127.0.0.1' ;
+
+// A started server and client on localhost, 'to' is the server address
+async function createPair( serverParams , clientParams ) {
+	var server = new uniProtocol( Object.assign( { enableSession: true } , serverParams ) ) ,
+		client = new uniProtocol( Object.assign( { enableSession: true } , clientParams ) ) ,
+		serverAddress = await server.start( { address: localhost } ) ;
+
+	await client.start( { address: localhost } ) ;
+	return { server , client , to: { address: localhost , port: serverAddress.port } } ;
+}
+
+
+
+describe( "Session encryption" , () => {
+
+	const key = crypto.randomBytes( 32 ) ,
+		associatedData = Buffer.from( 'header' ) ,
+		data = Buffer.from( 'Some secret data' ) ;
+
+	it( "should decrypt what was encrypted" , () => {
+		var encrypted = common.encrypt( key , data , associatedData ) ;
+		expect( encrypted.length ).to.be( 12 + data.length + 16 ) ;
+		expect( encrypted.includes( data ) ).to.be( false ) ;
+		expect( common.decrypt( key , encrypted , associatedData ) ).to.equal( data ) ;
+	} ) ;
+
+	it( "should use a new IV each time" , () => {
+		expect( common.encrypt( key , data , associatedData ) ).not.to.equal( common.encrypt( key , data , associatedData ) ) ;
+	} ) ;
+
+	it( "should reject tampered ciphertext, auth tag or associated data, and a wrong key" , () => {
+		var encrypted = common.encrypt( key , data , associatedData ) ;
+
+		var tampered = Buffer.from( encrypted ) ;
+		tampered[ 12 ] ^= 1 ;
+		expect( () => common.decrypt( key , tampered , associatedData ) ).to.throw() ;
+
+		tampered = Buffer.from( encrypted ) ;
+		tampered[ tampered.length - 1 ] ^= 1 ;
+		expect( () => common.decrypt( key , tampered , associatedData ) ).to.throw() ;
+
+		expect( () => common.decrypt( key , encrypted , Buffer.from( 'Header' ) ) ).to.throw() ;
+		expect( () => common.decrypt( crypto.randomBytes( 32 ) , encrypted , associatedData ) ).to.throw() ;
+		expect( () => common.decrypt( key , encrypted.subarray( 0 , 27 ) , associatedData ) ).to.throw() ;
+	} ) ;
+
+	it( "should derive matching keys on both ends of the key exchange" , () => {
+		var sessionId = common.getRandomHexId( 8 ) ,
+			initiator = common.createKeyExchange() ,
+			responder = common.createKeyExchange() ,
+			initiatorKeys = common.deriveSessionKeys( initiator.privateKey , responder.publicKey , sessionId , true ) ,
+			responderKeys = common.deriveSessionKeys( responder.privateKey , initiator.publicKey , sessionId , false ) ;
+
+		expect( initiator.publicKey.length ).to.be( common.X25519_KEY_SIZE ) ;
+		expect( initiatorKeys.encryptionKey ).to.equal( responderKeys.decryptionKey ) ;
+		expect( initiatorKeys.decryptionKey ).to.equal( responderKeys.encryptionKey ) ;
+		expect( initiatorKeys.encryptionKey ).not.to.equal( initiatorKeys.decryptionKey ) ;
+
+		var encrypted = common.encrypt( initiatorKeys.encryptionKey , data , associatedData ) ;
+		expect( common.decrypt( responderKeys.decryptionKey , encrypted , associatedData ) ).to.equal( data ) ;
+
+		expect( () => common.deriveSessionKeys( initiator.privateKey , responder.publicKey.subarray( 1 ) , sessionId , true ) ).to.throw() ;
+	} ) ;
+} ) ;
+
+
+
+
+describe( "Channels" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	// The sequences emitted, in order, are pushed into receiver.emitted
+	function createReceiver( params ) {
+		var receiver = new uniProtocol( params ) ;
+		receiver.getOrCreatePeer( sender ) ;
+		receiver.emitted = [] ;
+		receiver.incoming.on( 'Eevnt' , message => receiver.emitted.push( message.sequence ) ) ;
+		return receiver ;
+	}
+
+	function receive( receiver , delivery , ... sequences ) {
+		for ( let sequence of sequences ) {
+			let message = receiver.createMessage( 'E' , 'evnt' ) ;
+			message.channel = 1 ;
+			message.delivery = uniProtocol.DELIVERY[ delivery ] ;
+			message.sequence = sequence ;
+			receiver.receive( sender , message.encode()[ 0 ] ) ;
+		}
+	}
+
+	it( "should drop older messages on an unreliable-sequenced channel" , async () => {
+		var receiver = createReceiver() ;
+		receive( receiver , 'unreliable-sequenced' , 1 , 3 , 2 , 3 , 4 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 , 3 , 4 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should deliver once, in any order, on a reliable-unordered channel" , async () => {
+		var receiver = createReceiver() ;
+		receive( receiver , 'reliable-unordered' , 2 , 1 , 2 , 4 , 1 , 3 ) ;
+		expect( receiver.emitted ).to.equal( [ 2 , 1 , 4 , 3 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should hold out of order messages on a reliable-ordered channel until the gap is filled" , async () => {
+		var receiver = createReceiver() ;
+		receive( receiver , 'reliable-ordered' , 1 , 3 , 4 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 ] ) ;
+		receive( receiver , 'reliable-ordered' , 3 , 2 , 2 , 5 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 , 2 , 3 , 4 , 5 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should skip a gap not filled in time on a reliable-ordered channel" , async () => {
+		var receiver = createReceiver( { channelGapTimeout: 50 } ) ;
+		receive( receiver , 'reliable-ordered' , 1 , 3 , 4 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 ] ) ;
+		await new Promise( resolve => setTimeout( resolve , 100 ) ) ;
+		expect( receiver.emitted ).to.equal( [ 1 , 3 , 4 ] ) ;
+
+		// Too late
+		receive( receiver , 'reliable-ordered' , 2 , 5 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 , 3 , 4 , 5 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should skip a gap at once when too many messages are held on a reliable-ordered channel" , async () => {
+		var receiver = createReceiver( { channelMaxBuffer: 2 } ) ;
+		receive( receiver , 'reliable-ordered' , 1 , 3 , 4 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 ] ) ;
+		receive( receiver , 'reliable-ordered' , 5 ) ;
+		expect( receiver.emitted ).to.equal( [ 1 , 3 , 4 , 5 ] ) ;
+		await receiver.close() ;
+	} ) ;
 } ) ;
 
+
+
+describe( "Protocol version" , () => {
+
+	// The checks of the legacy decoder, before the protocol was versioned: it ignores unknown flags
+	function legacyDecode( buffer ) {
+		if ( buffer.length < 15 || buffer.toString( 'ascii' , 0 , 3 ) !== 'UNP' || buffer[ 3 ] !== 0 ) { return null ; }
+
+		var flags = buffer.readUInt16BE( 4 ) ,
+			type = String.fromCharCode( buffer[ 6 ] ) ,
+			ptr = 15 ;
+
+		if ( ! 'CQREKHh'.includes( type ) ) { return null ; }
+		if ( flags & 128 ) { ptr += 8 ; }
+		if ( flags & 16 ) { ptr += 4 ; }
+
+		return {
+			type ,
+			command: buffer.toString( 'ascii' , 7 , 11 ) ,
+			id: buffer.readUInt32BE( 11 ) ,
+			isAck: !! ( flags & 2 ) ,
+			data: flags & 8 ? jsbindat.unserialize( buffer.subarray( ptr ) ) : undefined
+		} ;
+	}
+
+	async function createLegacyPeer() {
+		var socket = dgram.createSocket( 'udp4' ) ,
+			packets = [] ;
+
+		socket.on( 'message' , buffer => packets.push( legacyDecode( buffer ) ) ) ;
+		await new Promise( resolve => socket.bind( 0 , localhost , resolve ) ) ;
+		return { socket , packets , address: { address: localhost , port: socket.address().port } } ;
+	}
+
+	it( "should send the first packets to an unknown peer in the format of the legacy decoder" , async () => {
+		var legacy = await createLegacyPeer() ,
+			client = new uniProtocol( { checksum: true } ) ;
+
+		await client.start( { address: localhost } ) ;
+		await client.sendQuery( legacy.address , 'info' , { some: 'data' } , { timeout: 100 } ).catch( () => null ) ;
+		await client.hello( legacy.address , { timeout: 100 , retries: 0 } ).catch( () => null ) ;
+
+		expect( legacy.packets.length ).to.be( 2 ) ;
+		expect( legacy.packets[ 0 ] ).to.be.ok() ;
+		expect( legacy.packets[ 0 ].type + legacy.packets[ 0 ].command ).to.be( 'Qinfo' ) ;
+		expect( legacy.packets[ 0 ].data ).to.equal( { some: 'data' } ) ;
+		expect( legacy.packets[ 1 ] ).to.be.ok() ;
+		expect( legacy.packets[ 1 ].type + legacy.packets[ 1 ].command ).to.be( 'hhelo' ) ;
+
+		await client.close() ;
+		legacy.socket.close() ;
+	} ) ;
+
+	it( "should ack legacy packets in the legacy format, and treat the peer as legacy" , async () => {
+		var legacy = await createLegacyPeer() ,
+			server = new uniProtocol( { checksum: true } ) ,
+			to = await server.start( { address: localhost } ) ,
+			message = new uniProtocol().createMessageWithAck( 'C' , 'test' , 123 , 'data' ) ;
+
+		message.version = 0 ;
+		legacy.socket.send( message.encode()[ 0 ] , to.port , localhost ) ;
+		await new Promise( resolve => setTimeout( resolve , 50 ) ) ;
+
+		expect( legacy.packets ).to.equal( [ {
+			type: 'C' , command: 'test' , id: 123 , isAck: true , data: undefined
+		} ] ) ;
+		expect( server.getPeer( legacy.address ).version ).to.be( 0 ) ;
+		expect( server.peerSupports( legacy.address , uniProtocol.CAPABILITY.frame ) ).to.be( false ) ;
+
+		await server.close() ;
+		legacy.socket.close() ;
+	} ) ;
+
+	it( "should recognize newer peers even when they send packets in the legacy format" , async () => {
+		var { server , client , to } = await createPair( { checksum: true } , { checksum: true } ) ,
+			checksums = [] ;
+
+		server.incoming.on( 'Ctest' , message => checksums.push( message.checksum ) ) ;
+
+		// The first one to an unknown peer is in the legacy format, the peer acks it, then it's known
+		await client.sendCommand( to , 'test' , 'data' , { ack: true } ) ;
+		expect( server.getPeer( { address: localhost , port: client.socket.address().port } ).version ).to.be( 1 ) ;
+		expect( client.getPeer( to ).version ).to.be( 1 ) ;
+
+		await client.sendCommand( to , 'test' , 'data' , { ack: true } ) ;
+		expect( checksums ).to.equal( [ false , true ] ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Checksum" , () => {
+
+	it( "should compute CRC32C known vectors" , () => {
+		expect( common.crc32c( Buffer.alloc( 0 ) ) ).to.be( 0 ) ;
+		expect( common.crc32c( Buffer.from( '123456789' ) ) ).to.be( 0xe3069283 ) ;
+		expect( common.crc32c( Buffer.alloc( 32 , 0 ) ) ).to.be( 0x8a9136aa ) ;
+		expect( common.crc32c( Buffer.alloc( 32 , 0xff ) ) ).to.be( 0x62a8ab43 ) ;
+	} ) ;
+
+	it( "should checksum multiple buffers as if they were concatenated" , () => {
+		expect( common.crc32c( Buffer.from( '6789' ) , common.crc32c( Buffer.from( '12345' ) ) ) ).to.be( 0xe3069283 ) ;
+	} ) ;
+
+	it( "should drop a corrupted packet" , async () => {
+		var sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ,
+			receiver = new uniProtocol() ,
+			emitted = 0 ,
+			corrupted = [] ;
+
+		receiver.incoming.on( 'Eevnt' , () => emitted ++ ) ;
+		receiver.on( 'corrupted-packet' , ( from , error ) => corrupted.push( error.code ) ) ;
+
+		var buffer = new uniProtocol( { checksum: true } ).createMessage( 'E' , 'evnt' , 0 , { some: 'data' } ).encode()[ 0 ] ;
+		receiver.receive( sender , buffer ) ;
+		expect( emitted ).to.be( 1 ) ;
+
+		buffer[ buffer.length - 1 ] ^= 1 ;
+		receiver.receive( sender , buffer ) ;
+		expect( emitted ).to.be( 1 ) ;
+		expect( corrupted ).to.equal( [ 'checksum' ] ) ;
+		expect( receiver.getStats().droppedPackets.corrupted ).to.be( 1 ) ;
+		await receiver.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Compression" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	function createBomb( codec ) {
+		var message = new uniProtocol()._createMessage( false , 'E' , 'bomb' , 0 , 'a'.repeat( 100000 ) , true , codec ) ;
+		message.allowCodec = true ;
+		return message.encode()[ 0 ] ;
+	}
+
+	it( "should drop messages that decompress beyond maxMessageSize as malformed" , async () => {
+		var receiver = new uniProtocol( { maxMessageSize: 10000 } ) ,
+			received = [] ;
+
+		receiver.on( 'message' , message => received.push( message.decodeData() ) ) ;
+
+		for ( let codec of [ 'deflate' , 'brotli' ] ) {
+			let buffer = createBomb( codec ) ;
+			expect( buffer.length ).to.be.below( 1000 ) ;
+			receiver.receive( sender , buffer ) ;
+		}
+
+		expect( received ).to.equal( [] ) ;
+		expect( receiver.droppedPackets.malformed ).to.be( 2 ) ;
+		expect( receiver.getPeer( sender ) ).to.be( undefined ) ;
+
+		// Within the limit
+		receiver.maxMessageSize = 200000 ;
+		receiver.receive( sender , createBomb( 'brotli' ) ) ;
+		expect( received ).to.equal( [ 'a'.repeat( 100000 ) ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should use codecs other than deflate only once the peer advertised them" , async () => {
+		var { server , client , to } = await createPair() ,
+			received = [] ,
+			data = { text: 'some text '.repeat( 100 ) } ;
+
+		// codecId is null when the message carries a codec ID, 0 for plain deflate
+		server.incoming.on( 'Cdata' , message => received.push( [ message.codecId , message.decodeData() ] ) ) ;
+
+		await client.sendCommand( to , 'data' , data , { ack: true , compressed: true , codec: 'brotli' } ) ;
+		await client.hello( to ) ;
+		await client.sendCommand( to , 'data' , data , { ack: true , compressed: true , codec: 'brotli' } ) ;
+		expect( received ).to.equal( [ [ 0 , data ] , [ null , data ] ] ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should use the dictionary codec when both sides have the dictionary, and drop it as unsupported otherwise" , async () => {
+		var dictionaries = { data: '{"player":"","position":{"x":0,"y":0}}' } ,
+			{ server , client , to } = await createPair( { dictionaries } , { dictionaries } ) ,
+			received = [] ,
+			data = { player: 'bob' , position: { x: 12 , y: 34 } } ;
+
+		server.incoming.on( 'Cdata' , message => received.push( [ message.codecId , message.decodeData() ] ) ) ;
+
+		await client.hello( to ) ;
+		await client.sendCommand( to , 'data' , data , { ack: true , compressed: true , codec: 'dictionary' } ) ;
+		expect( received ).to.equal( [ [ null , data ] ] ) ;
+
+		// The server has lost its dictionary: not the sender's fault, so it's not malformed
+		server.codecs.setDictionary( 'data' , null ) ;
+		await client.sendCommand( to , 'data' , data , { ack: true , compressed: true , codec: 'dictionary' } ) ;
+		expect( received.length ).to.be( 1 ) ;
+		expect( server.droppedPackets.unsupported ).to.be( 1 ) ;
+		expect( server.droppedPackets.malformed ).to.be( 0 ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Replay and duplicate protection" , () => {
+
+	const address = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	it( "should reject sequences already received or too old for the replay window" , () => {
+		var session = new uniProtocol.Session( common.getRandomHexId( 8 ) , address ) ;
+
+		expect( session.replayProtected ).to.be( false ) ;
+		expect( session.checkReplay( 1 , 4 ) ).to.be( true ) ;
+		expect( session.replayProtected ).to.be( true ) ;
+		expect( session.checkReplay( 1 , 4 ) ).to.be( false ) ;
+		expect( session.checkReplay( 5 , 4 ) ).to.be( true ) ;
+
+		// Out of order but within the window, once
+		expect( session.checkReplay( 2 , 4 ) ).to.be( true ) ;
+		expect( session.checkReplay( 2 , 4 ) ).to.be( false ) ;
+		expect( session.checkReplay( 4 , 4 ) ).to.be( true ) ;
+
+		// Exactly one window behind the highest
+		expect( session.checkReplay( 1 , 4 ) ).to.be( false ) ;
+
+		expect( session.checkReplay( 9 , 4 ) ).to.be( true ) ;
+		expect( session.checkReplay( 5 , 4 ) ).to.be( false ) ;
+		expect( session.checkReplay( 6 , 4 ) ).to.be( true ) ;
+		expect( session.checkReplay( 9 , 4 ) ).to.be( false ) ;
+
+		// Sequences that left the window are forgotten
+		expect( [ ... session.receivedSequences ].every( sequence => sequence > 9 - 4 ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should detect a message received again" , () => {
+		var peer = new uniProtocol.Peer( address ) ;
+
+		expect( peer.isDuplicate( 'a' , 10000 , 100 ) ).to.be( false ) ;
+		expect( peer.isDuplicate( 'a' , 10000 , 100 ) ).to.be( true ) ;
+		expect( peer.isDuplicate( 'b' , 10000 , 100 ) ).to.be( false ) ;
+		expect( peer.isDuplicate( 'a' , 10000 , 100 ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should forget messages older than maxAge" , async () => {
+		var peer = new uniProtocol.Peer( address ) ;
+
+		expect( peer.isDuplicate( 'a' , 20 , 100 ) ).to.be( false ) ;
+		await new Promise( resolve => setTimeout( resolve , 40 ) ) ;
+		expect( peer.isDuplicate( 'a' , 20 , 100 ) ).to.be( false ) ;
+		expect( peer.isDuplicate( 'a' , 20 , 100 ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should forget the oldest messages beyond maxSize" , () => {
+		var peer = new uniProtocol.Peer( address ) ;
+
+		expect( peer.isDuplicate( 'a' , 10000 , 2 ) ).to.be( false ) ;
+		expect( peer.isDuplicate( 'b' , 10000 , 2 ) ).to.be( false ) ;
+		expect( peer.isDuplicate( 'c' , 10000 , 2 ) ).to.be( false ) ;
+		expect( peer.recentIds.size ).to.be( 2 ) ;
+		expect( peer.isDuplicate( 'c' , 10000 , 2 ) ).to.be( true ) ;
+		expect( peer.isDuplicate( 'a' , 10000 , 2 ) ).to.be( false ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Retry token" , () => {
+
+	const secret = common.getRandomHexId( 32 ) ,
+		address = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	it( "should accept a token created for the same address" , () => {
+		var token = common.createRetryToken( secret , address ) ;
+		expect( token.length ).to.be( common.RETRY_TOKEN_SIZE ) ;
+		expect( common.checkRetryToken( secret , address , token , 10000 ) ).to.be( true ) ;
+		expect( common.checkRetryToken( secret , { address: '::ffff:127.0.0.1' , port: 1234 , family: 'IPv6' } , token , 10000 ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should reject a token created for another address or with another secret" , () => {
+		var token = common.createRetryToken( secret , address ) ;
+		expect( common.checkRetryToken( secret , { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } , token , 10000 ) ).to.be( false ) ;
+		expect( common.checkRetryToken( secret , { address: '127.0.0.1' , port: 1235 , family: 'IPv4' } , token , 10000 ) ).to.be( false ) ;
+		expect( common.checkRetryToken( common.getRandomHexId( 32 ) , address , token , 10000 ) ).to.be( false ) ;
+	} ) ;
+
+	it( "should reject an expired token, or one from the future" , () => {
+		var token = common.createRetryToken( secret , address , Date.now() - 20000 ) ;
+		expect( common.checkRetryToken( secret , address , token , 30000 ) ).to.be( true ) ;
+		expect( common.checkRetryToken( secret , address , token , 10000 ) ).to.be( false ) ;
+
+		token = common.createRetryToken( secret , address , Date.now() + 20000 ) ;
+		expect( common.checkRetryToken( secret , address , token , 30000 ) ).to.be( false ) ;
+	} ) ;
+
+	it( "should reject a tampered or malformed token" , () => {
+		var token = common.createRetryToken( secret , address ) ;
+
+		// Moving the time doesn't work without the secret
+		var tampered = Buffer.from( token ) ;
+		tampered.writeUInt32BE( tampered.readUInt32BE( 0 ) + 1 , 0 ) ;
+		expect( common.checkRetryToken( secret , address , tampered , 10000 ) ).to.be( false ) ;
+
+		tampered = Buffer.from( token ) ;
+		tampered[ tampered.length - 1 ] ^= 1 ;
+		expect( common.checkRetryToken( secret , address , tampered , 10000 ) ).to.be( false ) ;
+
+		expect( common.checkRetryToken( secret , address , token.subarray( 1 ) , 10000 ) ).to.be( false ) ;
+		expect( common.checkRetryToken( secret , address , null , 10000 ) ).to.be( false ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Rate limiter" , () => {
+
+	const address = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ,
+		samePort = { address: '127.0.0.1' , port: 1235 , family: 'IPv4' } ,
+		otherAddress = { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } ;
+
+	it( "should not limit anything by default" , () => {
+		var rateLimiter = new RateLimiter() ;
+		for ( let i = 0 ; i < 100 ; i ++ ) { expect( rateLimiter.checkPacket( address ) ).to.be( null ) ; }
+		expect( rateLimiter.checkCommand( address , 'Q' , 'serv' ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should limit packets per sender IP" , () => {
+		var rateLimiter = new RateLimiter( { rate: 10 , burst: 3 } ) ;
+		expect( rateLimiter.checkPacket( address ) ).to.be( null ) ;
+		expect( rateLimiter.checkPacket( address ) ).to.be( null ) ;
+		expect( rateLimiter.checkPacket( samePort ) ).to.be( null ) ;
+		expect( rateLimiter.checkPacket( address ) ).to.be( 'rateLimit' ) ;
+		expect( rateLimiter.checkPacket( samePort ) ).to.be( 'rateLimit' ) ;
+		expect( rateLimiter.checkPacket( otherAddress ) ).to.be( null ) ;
+	} ) ;
+
+	it( "should limit commands per sender IP" , () => {
+		var rateLimiter = new RateLimiter( { commands: { Qserv: { rate: 10 , burst: 2 } } } ) ;
+		expect( rateLimiter.checkCommand( address , 'Q' , 'serv' ) ).to.be( true ) ;
+		expect( rateLimiter.checkCommand( address , 'Q' , 'serv' ) ).to.be( true ) ;
+		expect( rateLimiter.checkCommand( address , 'Q' , 'serv' ) ).to.be( false ) ;
+		expect( rateLimiter.checkCommand( address , 'Q' , 'info' ) ).to.be( true ) ;
+		expect( rateLimiter.checkCommand( otherAddress , 'Q' , 'serv' ) ).to.be( true ) ;
+	} ) ;
+
+	it( "should never ban without a ban threshold" , () => {
+		var rateLimiter = new RateLimiter() ;
+		for ( let i = 0 ; i < 100 ; i ++ ) { expect( rateLimiter.penalize( address , 'malformed' ) ).to.be( false ) ; }
+		expect( rateLimiter.isBanned( address ) ).to.be( false ) ;
+	} ) ;
+
+	it( "should ban a sender once its penalties reach the threshold" , () => {
+		var rateLimiter = new RateLimiter( { banThreshold: 10 , penalties: { malformed: 6 } } ) ;
+
+		// Network corruption is not penalized
+		for ( let i = 0 ; i < 100 ; i ++ ) { expect( rateLimiter.penalize( address , 'corrupted' ) ).to.be( false ) ; }
+
+		expect( rateLimiter.penalize( address , 'malformed' ) ).to.be( false ) ;
+		expect( rateLimiter.penalize( address , 'malformed' ) ).to.be( true ) ;
+		expect( rateLimiter.isBanned( samePort ) ).to.be( true ) ;
+		expect( rateLimiter.checkPacket( address ) ).to.be( 'banned' ) ;
+		expect( rateLimiter.checkPacket( otherAddress ) ).to.be( null ) ;
+		expect( rateLimiter.getBans().map( ban => ban.address ) ).to.equal( [ '127.0.0.1' ] ) ;
+
+		rateLimiter.unban( address ) ;
+		expect( rateLimiter.checkPacket( address ) ).to.be( null ) ;
+	} ) ;
+
+	it( "should lift a ban once it expires" , async () => {
+		var rateLimiter = new RateLimiter() ;
+		rateLimiter.ban( address , 20 ) ;
+		expect( rateLimiter.isBanned( address ) ).to.be( true ) ;
+		await new Promise( resolve => setTimeout( resolve , 40 ) ) ;
+		expect( rateLimiter.isBanned( address ) ).to.be( false ) ;
+		expect( rateLimiter.getBans() ).to.equal( [] ) ;
+	} ) ;
+
+	it( "should throttle error logs and count the suppressed ones" , () => {
+		var rateLimiter = new RateLimiter( { logBurst: 2 , logRate: 0.1 } ) ;
+		expect( rateLimiter.allowLog( address ) ).to.be( 0 ) ;
+		expect( rateLimiter.allowLog( address ) ).to.be( 0 ) ;
+		expect( rateLimiter.allowLog( address ) ).to.be( - 1 ) ;
+		expect( rateLimiter.allowLog( address ) ).to.be( - 1 ) ;
+		expect( rateLimiter.allowLog( otherAddress ) ).to.be( 0 ) ;
+
+		// Make the next one allowed
+		rateLimiter.senders.get( '127.0.0.1' ).logBucket.tokens = 1 ;
+		expect( rateLimiter.allowLog( address ) ).to.be( 2 ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Reassembly" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ,
+		otherSender = { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } ;
+
+	// The IDs of the messages emitted, in order, are pushed into receiver.emitted
+	function createReceiver( params ) {
+		var receiver = new uniProtocol( Object.assign( { enableNack: false } , params ) ) ;
+		receiver.emitted = [] ;
+
+		receiver.incoming.on( 'Eevnt' , message => {
+			expect( message.decodeData().blob.length ).to.be( 2000 ) ;
+			receiver.emitted.push( message.id ) ;
+		} ) ;
+
+		return receiver ;
+	}
+
+	// 8 fragments of 252B of data each (but the last one)
+	function createFragments( id ) {
+		var message = new uniProtocol().createMessage( 'E' , 'evnt' , id , { blob: crypto.randomBytes( 1000 ).toString( 'hex' ) } ) ;
+		return message.encode( 300 ) ;
+	}
+
+	it( "should reassemble fragments received in any order" , async () => {
+		var receiver = createReceiver() ,
+			fragments = createFragments( 1 ) ;
+
+		expect( fragments.length ).to.be( 8 ) ;
+		fragments.slice( 0 , 3 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.getStats().reassemblyBytes ).to.be( 8 * 8 + 3 * 252 ) ;
+
+		fragments.slice( 3 ).reverse().forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 1 ] ) ;
+		expect( receiver.getStats().reassemblyBytes ).to.be( 0 ) ;
+
+		// Sent again, e.g. an ack was lost
+		fragments.forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 1 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should send again only the lost fragment, once the receiver nacks it" , async () => {
+		// Resending the whole message would only happen after 1s
+		var { server , client , to } = await createPair( null , { maxPacketSize: 368 , ackResendTimeout: 1000 } ) ,
+			sendBuffer = client.sendBuffer ,
+			sent = [] ,
+			received = [] ,
+			data = crypto.randomBytes( 2000 ) ;
+
+		client.sendBuffer = function( to_ , buffer ) {
+			sent.push( buffer ) ;
+			// The third fragment is lost, once
+			if ( sent.length === 3 ) { return Promise.resolve() ; }
+			return sendBuffer.call( this , to_ , buffer ) ;
+		} ;
+
+		server.incoming.on( 'Cdata' , message => received.push( message.decodeData() ) ) ;
+
+		var startTime = Date.now() ;
+		await client.sendCommand( to , 'data' , data , { ack: true , retries: 1 } ) ;
+		expect( Date.now() - startTime ).to.be.below( 500 ) ;
+		expect( received ).to.equal( [ data ] ) ;
+
+		expect( sent.length ).to.be.above( 4 ) ;
+		expect( sent.filter( buffer => buffer.equals( sent[ 2 ] ) ).length ).to.be( 2 ) ;
+		expect( new Set( sent.map( buffer => buffer.toString( 'hex' ) ) ).size ).to.be( sent.length - 1 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should reassemble a message of maxMessageSize sent with the smallest IPv4 packets, with default settings" , async () => {
+		var receiver = new uniProtocol( { enableNack: false } ) ,
+			sizes = [] ,
+			message = new uniProtocol().createMessage( 'E' , 'evnt' , 1 , crypto.randomBytes( receiver.maxMessageSize - 16 ) ) ,
+			fragments = message.encode( uniProtocol.IPv4_MTU - 28 ) ;
+
+		receiver.incoming.on( 'Eevnt' , received => sizes.push( received.decodeData().length ) ) ;
+		expect( fragments.length ).to.be.within( 4096 , receiver.maxFragments ) ;
+		fragments.forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( sizes ).to.equal( [ receiver.maxMessageSize - 16 ] ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should refuse to send messages beyond maxMessageSize or maxFragments" , async () => {
+		var emitter = new uniProtocol( { maxMessageSize: 5000 , maxFragments: 4 , maxPacketSize: 576 } ) ,
+			to = { address: '127.0.0.1' , port: 9 , family: 'IPv4' } ;
+
+		await expect( emitter.sendEvent( to , 'evnt' , crypto.randomBytes( 6000 ) ) ).to.reject.with.an( common.TooBigError , { code: 'tooBig' } ) ;
+		await expect( emitter.sendEvent( to , 'evnt' , crypto.randomBytes( 3000 ) ) ).to.reject.with.an( common.TooBigError , { code: 'tooBig' } ) ;
+		await emitter.close() ;
+	} ) ;
+
+	it( "should drop a message announcing too many fragments, penalizing it once" , async () => {
+		var receiver = createReceiver( { maxFragments: 4 } ) ;
+
+		createFragments( 1 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [] ) ;
+		expect( receiver.getStats().droppedPackets.malformed ).to.be( 1 ) ;
+		expect( receiver.getStats().reassemblyBytes ).to.be( 0 ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should discard the oldest partial reassembly of the peer beyond the per-peer limit" , async () => {
+		var receiver = createReceiver( { maxReassemblyBytesPerPeer: 3000 } ) ,
+			fragments1 = createFragments( 1 ) ,
+			fragments2 = createFragments( 2 ) ,
+			fragments3 = createFragments( 3 ) ;
+
+		fragments1.slice( 0 , 6 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		fragments3.slice( 0 , 6 ).forEach( buffer => receiver.receive( otherSender , buffer ) ) ;
+		fragments2.forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 2 ] ) ;
+		expect( receiver.getStats().discardedReassemblies ).to.be( 1 ) ;
+
+		// The rest of the discarded one is ignored, the other peer was not affected
+		fragments1.slice( 6 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		fragments3.slice( 6 ).forEach( buffer => receiver.receive( otherSender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 2 , 3 ] ) ;
+		expect( receiver.getStats().reassemblyBytes ).to.be( 0 ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should discard the oldest partial reassembly beyond the global limit" , async () => {
+		var receiver = createReceiver( { maxReassemblyBytes: 3000 } ) ,
+			fragments1 = createFragments( 1 ) ,
+			fragments2 = createFragments( 2 ) ;
+
+		fragments1.slice( 0 , 6 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		fragments2.forEach( buffer => receiver.receive( otherSender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 2 ] ) ;
+		expect( receiver.getStats().discardedReassemblies ).to.be( 1 ) ;
+
+		fragments1.slice( 6 ).forEach( buffer => receiver.receive( sender , buffer ) ) ;
+		expect( receiver.emitted ).to.equal( [ 2 ] ) ;
+		expect( receiver.getStats().reassemblyBytes ).to.be( 0 ) ;
+		await receiver.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Congestion control" , () => {
+
+	it( "should pace a big message at the send rate of the peer, increase it on ack and halve it on loss" , async () => {
+		// About 60 fragments, the ack of each one increases the rate a bit
+		var { server , client , to } = await createPair( null , { maxPacketSize: 1068 , congestion: { initialRate: 100000 , increase: 100 } } ) ,
+			sendBuffer = client.sendBuffer ,
+			loseAt = 0 ,
+			sent = 0 ,
+			received = [] ;
+
+		client.sendBuffer = function( to_ , buffer ) {
+			if ( ++ sent === loseAt ) { return Promise.resolve() ; }
+			return sendBuffer.call( this , to_ , buffer ) ;
+		} ;
+
+		server.incoming.on( 'Cdata' , message => received.push( message.decodeData().length ) ) ;
+
+		// Only the first 8KB burst is sent at once
+		var startTime = Date.now() ;
+		await client.sendCommand( to , 'data' , crypto.randomBytes( 60000 ) , { ack: true } ) ;
+		expect( Date.now() - startTime ).to.be.within( 400 , 1500 ) ;
+		expect( client.getPeerStats( to ).sendRate ).to.be.within( 100100 , 100000 + sent * 100 ) ;
+
+		// A fragment is lost then nacked
+		loseAt = sent + 3 ;
+		await client.sendCommand( to , 'data' , crypto.randomBytes( 5000 ) , { ack: true , retries: 1 } ) ;
+		expect( client.getPeerStats( to ).sendRate ).to.be.below( 60000 ) ;
+		expect( received ).to.equal( [ 60000 , 5000 ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Round-trip time" , () => {
+
+	it( "should estimate the RTT of the peer and derive the resend timeout from it" , async () => {
+		// Too short for that peer, it would send everything again before the ack comes back
+		var { server , client , to } = await createPair( null , { ackResendTimeout: 50 } ) ,
+			serverSendBuffer = server.sendBuffer ,
+			clientSendBuffer = client.sendBuffer ,
+			sent = 0 ;
+
+		// The server answers 100ms late
+		server.sendBuffer = function( to_ , buffer ) {
+			setTimeout( () => serverSendBuffer.call( this , to_ , buffer ) , 100 ) ;
+			return Promise.resolve() ;
+		} ;
+
+		client.sendBuffer = function( to_ , buffer ) {
+			sent ++ ;
+			return clientSendBuffer.call( this , to_ , buffer ) ;
+		} ;
+
+		server.handle( 'time' , () => Date.now() ) ;
+		await client.call( to , 'time' , null , { timeout: 1000 } ) ;
+
+		// First sample: SRTT = RTT, RTTVAR = RTT / 2, RTO = SRTT + 4 * RTTVAR
+		var stats = client.getPeerStats( to ) ;
+		expect( stats.rtt ).to.be.within( 100 , 200 ) ;
+		expect( stats.srtt ).to.be( stats.rtt ) ;
+		expect( stats.rttvar ).to.be( stats.rtt / 2 ) ;
+		expect( stats.rto ).to.be( 3 * stats.rtt ) ;
+		expect( stats.resendTimeout ).to.be( 3 * stats.rtt ) ;
+
+		sent = 0 ;
+		await client.sendCommand( to , 'data' , 'hello' , { ack: true , retries: 2 } ) ;
+		expect( sent ).to.be( 1 ) ;
+		expect( client.getPeerStats( to ).srtt ).to.be.within( 100 , 200 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Path MTU discovery" , () => {
+
+	it( "should probe a validated peer, fragment at the biggest size acked, and fall back to the safe default if the first probe is lost" , async () => {
+		var { server , client , to } = await createPair( null , {
+				maxPacketSize: 576 , pmtuDiscovery: true , pmtuProbeSizes: [ 1000 , 1400 , 1500 ] , ackResendTimeout: 20 , ackForgetTimeout: 100
+			} ) ,
+			sendBuffer = client.sendBuffer ,
+			pathMtu = 1400 ,
+			sizes = [] ,
+			received = [] ;
+
+		// Packets bigger than the path MTU are lost, sizes are UDP payload sizes
+		client.sendBuffer = function( to_ , buffer ) {
+			sizes.push( buffer.length ) ;
+			if ( buffer.length > pathMtu - 68 ) { return Promise.resolve() ; }
+			return sendBuffer.call( this , to_ , buffer ) ;
+		} ;
+
+		server.handle( 'time' , () => Date.now() ) ;
+		server.incoming.on( 'Cdata' , message => received.push( message.decodeData().length ) ) ;
+
+		// The response validates the server, probes start then
+		expect( client.getPeerStats( to ) ).to.be( null ) ;
+		await client.call( to , 'time' ) ;
+		await new Promise( resolve => setTimeout( resolve , 300 ) ) ;
+		expect( client.getPeerStats( to ).maxPacketSize ).to.be( 1400 ) ;
+
+		sizes = [] ;
+		await client.sendCommand( to , 'data' , crypto.randomBytes( 3000 ) , { ack: true } ) ;
+		expect( sizes.length ).to.be( 3 ) ;
+		expect( Math.max( ... sizes ) ).to.be.within( 1000 , 1400 - 68 ) ;
+
+		// The route changed
+		pathMtu = 576 ;
+		expect( await client.probePathMtu( to ) ).to.be( 576 ) ;
+		expect( client.getPeerStats( to ).maxPacketSize ).to.be( 576 ) ;
+
+		await client.sendCommand( to , 'data' , crypto.randomBytes( 3000 ) , { ack: true } ) ;
+		expect( received ).to.equal( [ 3000 , 3000 ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Peers" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ,
+		otherSender = { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } ,
+		thirdSender = { address: '127.0.0.3' , port: 1234 , family: 'IPv4' } ;
+
+	function createEvent() {
+		return new uniProtocol().createMessage( 'E' , 'evnt' , 0 , { some: 'data' } ).encode()[ 0 ] ;
+	}
+
+	it( "should create a peer only once a valid message is received" , async () => {
+		var receiver = new uniProtocol() ;
+
+		receiver.receive( sender , Buffer.from( 'garbage' ) ) ;
+		expect( receiver.getPeer( sender ) ).to.be( undefined ) ;
+
+		receiver.receive( sender , createEvent() ) ;
+		expect( receiver.getPeer( sender ) ).to.be.ok() ;
+		expect( receiver.getPeer( sender ).version ).to.be( uniProtocol.PROTOCOL_VERSION ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should forget the oldest unvalidated peer when there are too many" , async () => {
+		var receiver = new uniProtocol( { maxPeers: 2 } ) ;
+
+		receiver.receive( sender , createEvent() ) ;
+		receiver.receive( otherSender , createEvent() ) ;
+		receiver.validatePeer( sender ) ;
+		receiver.receive( thirdSender , createEvent() ) ;
+		expect( receiver.getPeer( sender ) ).to.be.ok() ;
+		expect( receiver.getPeer( otherSender ) ).to.be( undefined ) ;
+		expect( receiver.getPeer( thirdSender ) ).to.be.ok() ;
+
+		// All validated: no room
+		receiver.validatePeer( thirdSender ) ;
+		receiver.receive( otherSender , createEvent() ) ;
+		expect( receiver.getPeer( otherSender ) ).to.be( undefined ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should forget silent peers without keep-alive" , async () => {
+		var receiver = new uniProtocol( { peerTimeout: 60 } ) ,
+			timedOut = [] ;
+
+		receiver.on( 'peer-timeout' , peer => timedOut.push( peer.id ) ) ;
+		await receiver.start( { address: '127.0.0.1' } ) ;
+		receiver.receive( sender , createEvent() ) ;
+		await new Promise( resolve => setTimeout( resolve , 150 ) ) ;
+		expect( timedOut ).to.equal( [ '127.0.0.1:1234' ] ) ;
+		expect( receiver.getPeer( sender ) ).to.be( undefined ) ;
+		await receiver.close() ;
+	} ) ;
+
+	it( "should ping validated peers only" , async () => {
+		var receiver = new uniProtocol( { keepAliveInterval: 10000 } ) ,
+			pinged = [] ;
+
+		receiver.sendMessage = ( to , message ) => {
+			pinged.push( common.getAddressId( to ) + ':' + message.type + message.command ) ;
+			return Promise.resolve() ;
+		} ;
+
+		receiver.receive( sender , createEvent() ) ;
+		receiver.receive( otherSender , createEvent() ) ;
+		receiver.validatePeer( otherSender ) ;
+		receiver.keepAlive() ;
+		expect( pinged ).to.equal( [ '127.0.0.2:1234:kping' ] ) ;
+		await receiver.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Sessions" , () => {
+
+	it( "should open an encrypted session, through a retry token" , async () => {
+		var { server , client , to } = await createPair( { encryption: true } , { encryption: true } ) ,
+			received = [] ;
+
+		server.on( 'message' , message => received.push( message.type + message.command ) ) ;
+		server.incoming.on( 'Cbuy_' , message => received.push( message.decodeData() ) ) ;
+
+		var session = await client.openSession( to ) ;
+		expect( session.isEncrypted() ).to.be( true ) ;
+		expect( server.sessions.size ).to.be( 1 ) ;
+		expect( server.getPeer( { address: localhost , port: client.socket.address().port } ).validated ).to.be( true ) ;
+
+		await client.sendCommand( to , 'buy_' , { item: 'sword' } , { ack: true } ) ;
+		expect( received ).to.equal( [ 'Cbuy_' , { item: 'sword' } ] ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should not do the key exchange for an address that didn't prove it owns it" , async () => {
+		var { server , client } = await createPair( { encryption: true } , { encryption: true } ) ,
+			spoofed = { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } ;
+
+		var message = client.createMessage( 's' , 'open' , 1 ) ;
+		message.setDataBuffer( common.createKeyExchange().publicKey ) ;
+		server.receive( spoofed , message.encode()[ 0 ] ) ;
+		expect( server.sessions.size ).to.be( 0 ) ;
+
+		// Tokens are bound to the address
+		message.retryToken = common.createRetryToken( server.retryTokenSecret , { address: '127.0.0.3' , port: 1234 } ) ;
+		server.receive( spoofed , message.encode()[ 0 ] ) ;
+		expect( server.sessions.size ).to.be( 0 ) ;
+
+		message.retryToken = common.createRetryToken( server.retryTokenSecret , spoofed ) ;
+		server.receive( spoofed , message.encode()[ 0 ] ) ;
+		expect( server.sessions.size ).to.be( 1 ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should refuse sessions beyond maxSessions" , async () => {
+		var { server , client , to } = await createPair( { maxSessions: 1 } ) ,
+			client2 = new uniProtocol( { enableSession: true , sessionOpenTimeout: 300 } ) ;
+
+		await client2.start( { address: localhost } ) ;
+		await client.openSession( to ) ;
+		await expect( client2.openSession( to ) ).to.reject.with.an( Error , { code: 'timeout' } ) ;
+		expect( server.sessions.size ).to.be( 1 ) ;
+
+		await Promise.all( [ server.close() , client.close() , client2.close() ] ) ;
+	} ) ;
+
+	it( "should close idle sessions" , async () => {
+		var { server , client , to } = await createPair( { sessionTimeout: 60 } ) ,
+			closed = [] ;
+
+		server.on( 'session-close' , ( session , reason ) => closed.push( reason ) ) ;
+		await client.openSession( to ) ;
+		expect( server.sessions.size ).to.be( 1 ) ;
+		await new Promise( resolve => setTimeout( resolve , 150 ) ) ;
+		expect( server.sessions.size ).to.be( 0 ) ;
+		expect( closed ).to.equal( [ 'timeout' ] ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Queries" , () => {
+
+	const to = { address: '127.0.0.1' , port: 9 , family: 'IPv4' } ;
+
+	it( "should reject at once, and forget the query, when it can't be sent" , async () => {
+		// Packets too small for any data: the encoder throws
+		var emitter = new uniProtocol( { maxPacketSize: 100 , maxMessageSize: 1000 } ) ,
+			startedAt = Date.now() ;
+
+		await expect( emitter.sendQuery( to , 'info' , 'x'.repeat( 100 ) , { retries: 3 , timeout: 2000 } ) ).to.reject.with.an( Error ) ;
+		expect( emitter.pendingResponses.size ).to.be( 0 ) ;
+
+		await expect( emitter.sendQuery( to , 'info' , 'x'.repeat( 2000 ) , { retries: 3 , timeout: 2000 } ) ).to.reject.with.an( Error , { code: 'tooBig' } ) ;
+		expect( emitter.pendingResponses.size ).to.be( 0 ) ;
+		expect( Date.now() - startedAt ).to.be.below( 500 ) ;
+
+		await emitter.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "RPC" , () => {
+
+	it( "should respond with the result of the handler, or reject the caller with a RemoteError if it throws" , async () => {
+		var { server , client , to } = await createPair() ,
+			clientPort = client.socket.address().port ;
+
+		server.handle( 'info' , async ( data , context ) => ( { hello: data.name , port: context.sender.port } ) ) ;
+		server.handle( 'fail' , data => {
+			var error = new TypeError( "Bad " + data ) ;
+			if ( data === 'coded' ) { error.code = 'badData' ; }
+			throw error ;
+		} ) ;
+
+		expect( () => server.handle( 'info' , () => null ) ).to.throw( Error ) ;
+		expect( await client.call( to , 'info' , { name: 'bob' } ) ).to.equal( { hello: 'bob' , port: clientPort } ) ;
+
+		await expect( client.call( to , 'fail' , 'coded' ) ).to.reject.with.a( common.RemoteError , { message: "Bad coded" , code: 'badData' , remoteName: 'TypeError' } ) ;
+		await expect( client.call( to , 'fail' , 'data' ) ).to.reject.with.a( common.RemoteError , { message: "Bad data" , code: 'remote' } ) ;
+
+		// Without a handler, it times out like any other query
+		server.unhandle( 'info' ) ;
+		await expect( client.call( to , 'info' , { name: 'bob' } , { timeout: 100 , retries: 0 } ) ).to.reject.with.an( Error , { code: 'timeout' } ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Protocol schema" , () => {
+
+	const createSchema = () => new uniProtocol.ProtocolSchema( {
+		info: { types: 'QR' } ,
+		data: { types: 'C' , ack: true }
+	} , { strict: true } ) ;
+
+	it( "should talk to peers having the same schema, and detect those having a different one at hello time" , async () => {
+		var { server , client , to } = await createPair( { schema: createSchema() } , { schema: createSchema() } ) ,
+			other = new uniProtocol( { schema: { info: { types: 'Q' } } } ) ,
+			mismatches = [] ,
+			received = [] ;
+
+		await other.start( { address: localhost } ) ;
+		server.on( 'schema-mismatch' , ( address , fingerprint ) => mismatches.push( [ address.port , fingerprint ] ) ) ;
+		server.handle( 'info' , () => 'some info' ) ;
+		server.on( 'message' , message => received.push( message.type + message.command + ( message.wantAck ? ' with ack' : '' ) ) ) ;
+
+		expect( await client.hello( to ) ).to.be.a( 'number' ) ;
+		expect( await client.call( to , 'info' ) ).to.be( 'some info' ) ;
+
+		// The schema asks for an ack
+		await client.sendCommand( to , 'data' , 'hello' ) ;
+
+		// Strict: undeclared commands are neither sent nor accepted
+		await expect( client.sendCommand( to , 'nope' ) ).to.reject.with.an( Error , { code: 'invalidData' } ) ;
+		await other.sendCommand( to , 'nope' ) ;
+
+		await expect( other.hello( to ) ).to.reject.with.an( Error , { code: 'schemaMismatch' } ) ;
+		expect( mismatches ).to.equal( [ [ other.socket.address().port , other.schema.getFingerprint() ] ] ) ;
+
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( received ).to.equal( [ 'Qinfo' , 'Cdata with ack' ] ) ;
+		await Promise.all( [ server.close() , client.close() , other.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Frames" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	it( "should send frames as deltas of the last acked frame" , async () => {
+		var { server , client , to } = await createPair() ,
+			received = [] ,
+			state = { players: [ { name: 'alice' , x: 0 } , { name: 'bob' , x: 0 } ] } ;
+
+		server.incoming.on( 'Fstat' , message => received.push( message.decodeData().players[ 1 ].x ) ) ;
+
+		for ( let frameId = 1 ; frameId <= 3 ; frameId ++ ) {
+			state.players[ 1 ].x = frameId * 10 ;
+			await client.sendFrame( to , 'stat' , frameId , state ) ;
+			await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		}
+
+		expect( received ).to.equal( [ 10 , 20 , 30 ] ) ;
+		expect( client.getPeer( to ).frameAcks.get( 'stat' ) ).to.be( 3 ) ;
+		expect( server.getPeer( { address: localhost , port: client.socket.address().port } ).getFrames( 'stat' ).history.size ).to.be( 3 ) ;
+
+		// Stale
+		await client.sendFrame( to , 'stat' , 2 , state ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( received.length ).to.be( 3 ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should drop frames inflating beyond maxFrameSize as malformed, and refuse to send them" , async () => {
+		var receiver = new uniProtocol( { maxFrameSize: 10000 } ) ,
+			received = [] ,
+			header = Buffer.alloc( 4 ) ,
+			message = new uniProtocol().createMessage( 'F' , 'stat' , 1 ) ;
+
+		receiver.on( 'message' , frame => received.push( frame.id ) ) ;
+		message.setDataBuffer( Buffer.concat( [ header , zlib.deflateRawSync( Buffer.alloc( 100000 ) ) ] ) ) ;
+		receiver.receive( sender , message.encode()[ 0 ] ) ;
+		expect( received ).to.equal( [] ) ;
+		expect( receiver.droppedPackets.malformed ).to.be( 1 ) ;
+
+		await expect( () => receiver.sendFrame( sender , 'stat' , 1 , 'a'.repeat( 20000 ) ) ).to.reject.with.an( Error ) ;
+		await receiver.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Publish/subscribe" , () => {
+
+	const sender = { address: '127.0.0.1' , port: 1234 , family: 'IPv4' } ;
+
+	function createSubscription( channel ) {
+		return new uniProtocol().createMessage( 'e' , channel , 1 , 30000 ).encode()[ 0 ] ;
+	}
+
+	it( "should subscribe through a retry token and receive events" , async () => {
+		var { server , client , to } = await createPair() ,
+			received = [] ;
+
+		// Acked only once accepted
+		client.incoming.on( 'Enews' , message => received.push( message.decodeData() ) ) ;
+		await client.subscribe( to , 'news' ) ;
+		expect( server.getSubscribers( 'news' ).length ).to.be( 1 ) ;
+
+		expect( await server.publish( 'news' , 'hello' , { ack: true } ) ).to.be( 0 ) ;
+		expect( received ).to.equal( [ 'hello' ] ) ;
+
+		await client.unsubscribe( to , 'news' ) ;
+		expect( server.getSubscribers( 'news' ).length ).to.be( 0 ) ;
+		expect( server.subscribers.size ).to.be( 0 ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should not ack refused subscriptions" , async () => {
+		var { server , client , to } = await createPair( { maxChannelsPerPeer: 1 } , { ackForgetTimeout: 300 } ) ;
+
+		await client.subscribe( to , 'news' ) ;
+		await expect( client.subscribe( to , 'more' ) ).to.reject.with.an( Error , { code: 'timeout' } ) ;
+		expect( [ ... server.subscribers.keys() ] ).to.equal( [ 'news' ] ) ;
+
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should not accept subscriptions from an address that didn't prove it owns it" , async () => {
+		var publisher = new uniProtocol() ;
+
+		publisher.receive( sender , createSubscription( 'news' ) ) ;
+		expect( publisher.getSubscribers( 'news' ) ).to.equal( [] ) ;
+
+		publisher.validatePeer( sender ) ;
+		publisher.receive( sender , createSubscription( 'news' ) ) ;
+		expect( publisher.getSubscribers( 'news' ).length ).to.be( 1 ) ;
+		await publisher.close() ;
+	} ) ;
+
+	it( "should cap channels per peer and subscribers per channel" , async () => {
+		var publisher = new uniProtocol( { maxChannelsPerPeer: 2 , maxSubscribersPerChannel: 1 } ) ,
+			otherSender = { address: '127.0.0.2' , port: 1234 , family: 'IPv4' } ;
+
+		publisher.receive( sender , createSubscription( 'aaaa' ) ) ;
+		publisher.validatePeer( sender ) ;
+		[ 'aaaa' , 'bbbb' , 'cccc' ].forEach( channel => publisher.receive( sender , createSubscription( channel ) ) ) ;
+		expect( [ ... publisher.subscribers.keys() ] ).to.equal( [ 'aaaa' , 'bbbb' ] ) ;
+
+		publisher.receive( otherSender , createSubscription( 'aaaa' ) ) ;
+		publisher.validatePeer( otherSender ) ;
+		publisher.receive( otherSender , createSubscription( 'aaaa' ) ) ;
+		expect( publisher.getSubscribers( 'aaaa' ) ).to.equal( [ sender ] ) ;
+
+		// Unsubscribing frees a slot
+		publisher.receive( sender , new uniProtocol().createMessage( 'e' , 'bbbb' , 2 , 0 ).encode()[ 0 ] ) ;
+		publisher.receive( sender , createSubscription( 'cccc' ) ) ;
+		expect( [ ... publisher.subscribers.keys() ] ).to.equal( [ 'aaaa' , 'cccc' ] ) ;
+		await publisher.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Middlewares" , () => {
+
+	it( "should call middlewares in the order they were added, skipping those without the method" , async () => {
+		var { server , client , to } = await createPair() ,
+			calls = [] ;
+
+		client.use( { outgoing: ( message , to_ , next ) => { calls.push( 'out1' ) ; next() ; } } ) ;
+		client.use( { incoming: () => calls.push( 'client in' ) } ) ;
+		client.use( {
+			outgoing: async ( message , to_ , next ) => {
+				await new Promise( resolve => setTimeout( resolve , 5 ) ) ;
+				calls.push( 'out2' ) ;
+				next() ;
+			}
+		} ) ;
+		server.use( { outgoing: () => calls.push( 'server out' ) } ) ;
+		server.use( { incoming: ( message , next ) => { calls.push( 'in1' ) ; next() ; } } ) ;
+		server.use( { incoming: ( message , next ) => { calls.push( 'in2' ) ; next() ; } } ) ;
+		server.incoming.on( 'Cdata' , () => calls.push( 'handler' ) ) ;
+
+		await client.sendCommand( to , 'data' , 'hello' ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( calls ).to.equal( [ 'out1' , 'out2' , 'in1' , 'in2' , 'handler' ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should send and emit messages transformed by middlewares, or replied by them" , async () => {
+		var { server , client , to } = await createPair() ,
+			received = [] ;
+
+		client.use( {
+			outgoing: ( message , to_ , next ) => {
+				if ( message.type === 'C' ) { message.setData( message.decodeData().toUpperCase() ) ; }
+				next() ;
+			}
+		} ) ;
+		server.use( {
+			incoming: ( message , next ) => {
+				if ( message.type === 'Q' ) { server.sendResponseFor( message , 'from the middleware' ) ; return ; }
+				message.setData( message.decodeData() + '!' ) ;
+				next() ;
+			}
+		} ) ;
+		server.incoming.on( 'Cdata' , message => received.push( message.decodeData() ) ) ;
+		server.incoming.on( 'Qtime' , () => received.push( 'query handler' ) ) ;
+
+		await client.sendCommand( to , 'data' , 'hello' ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( received ).to.equal( [ 'HELLO!' ] ) ;
+
+		var response = await client.sendQuery( to , 'time' ) ;
+		expect( response.decodeData() ).to.be( 'from the middleware' ) ;
+		expect( received ).to.equal( [ 'HELLO!' ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should drop messages when next() is not called, rejecting outgoing ones with a DroppedError" , async () => {
+		var { server , client , to } = await createPair() ,
+			received = [] ;
+
+		client.use( {
+			outgoing: ( message , to_ , next ) => {
+				if ( message.command === 'fail' ) { throw new Error( "Failed" ) ; }
+				if ( message.command !== 'drop' ) { next() ; }
+			}
+		} ) ;
+		server.use( {
+			incoming: async ( message , next ) => {
+				if ( message.decodeData() !== 'drop' ) { next() ; }
+			}
+		} ) ;
+		server.incoming.on( 'Cdata' , message => received.push( message.decodeData() ) ) ;
+		server.incoming.on( 'Cdrop' , message => received.push( message.decodeData() ) ) ;
+
+		await expect( client.sendCommand( to , 'drop' , 'outgoing' ) ).to.reject.with.an( common.DroppedError , { code: 'dropped' } ) ;
+		await expect( client.sendCommand( to , 'fail' , 'outgoing' ) ).to.reject.with.an( Error , { message: "Failed" } ) ;
+
+		// Dropped once received, so it is still acked
+		await client.sendCommand( to , 'data' , 'drop' ) ;
+		await client.sendCommand( to , 'data' , 'keep' ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( received ).to.equal( [ 'keep' ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should not pass internal messages to middlewares" , async () => {
+		var { server , client , to } = await createPair() ,
+			types = new Set() ,
+			recorder = {
+				incoming: ( message , next ) => { types.add( message.type ) ; next() ; } ,
+				outgoing: ( message , to_ , next ) => { types.add( message.type ) ; next() ; }
+			} ;
+
+		client.use( recorder ) ;
+		server.use( recorder ) ;
+
+		// Session handshake, subscription, event
+		await client.openSession( to ) ;
+		await client.sendCommand( to , 'data' , 'hello' ) ;
+		await client.subscribe( to , 'news' ) ;
+		await server.publish( 'news' , 'hello' , { ack: true } ) ;
+		expect( client.getSession( to ) ).to.be.ok() ;
+		expect( server.getSubscribers( 'news' ).length ).to.be( 1 ) ;
+
+		expect( [ ... types ].sort() ).to.equal( [ 'C' , 'E' ] ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Streams" , () => {
+
+	const chunkSize = 1000 ;
+
+	function createChunks( count ) {
+		return Array.from( { length: count } , () => crypto.randomBytes( chunkSize ) ) ;
+	}
+
+	// Incoming streams, in the order they were emitted, not read
+	function getIncomingStreams( receiver ) {
+		var streams = [] ;
+		receiver.on( 'stream' , stream => streams.push( stream ) ) ;
+		return streams ;
+	}
+
+	async function readAll( stream ) {
+		return Buffer.concat( await stream.toArray() ) ;
+	}
+
+	// Packets containing the chunk are lost (or altered by 'alter') on the way, 'count' times
+	function loseChunk( sender , chunk , count , alter = null ) {
+		var sendBuffer = sender.sendBuffer ,
+			lost = 0 ;
+
+		sender.sendBuffer = function( to , buffer ) {
+			if ( lost < count && buffer.includes( chunk ) ) {
+				lost ++ ;
+				if ( ! alter ) { return Promise.resolve() ; }
+				buffer = alter( buffer ) ;
+			}
+
+			return sendBuffer.call( this , to , buffer ) ;
+		} ;
+
+		return () => lost ;
+	}
+
+	it( "should not send more chunks than the window ahead of what the consumer has read" , async () => {
+		var { server , client , to } = await createPair( null , { streamChunkSize: chunkSize , streamWindow: 2 } ) ,
+			incomingStreams = getIncomingStreams( server ) ,
+			chunks = createChunks( 10 ) ,
+			sent = client.sendStream( to , Readable.from( chunks ) , { name: 'file' } ) ;
+
+		await new Promise( resolve => setTimeout( resolve , 100 ) ) ;
+		expect( incomingStreams.length ).to.be( 1 ) ;
+		expect( incomingStreams[ 0 ].meta ).to.equal( { name: 'file' } ) ;
+		expect( incomingStreams[ 0 ].next ).to.be( 0 ) ;
+		expect( incomingStreams[ 0 ].chunks.size ).to.be( 2 ) ;
+		expect( incomingStreams[ 0 ].receiveChunk( 2 , chunks[ 2 ] ) ).to.be( false ) ;
+
+		expect( await readAll( incomingStreams[ 0 ] ) ).to.equal( Buffer.concat( chunks ) ) ;
+		var result = await sent ;
+		expect( result.chunks ).to.be( 10 ) ;
+		expect( result.size ).to.be( 10 * chunkSize ) ;
+		expect( result.checksum ).to.be( crypto.createHash( 'sha256' ).update( Buffer.concat( chunks ) ).digest( 'hex' ) ) ;
+		expect( server.incomingStreams.size ).to.be( 0 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should resume a chunk lost despite all retries" , async () => {
+		var { server , client , to } = await createPair( null , {
+				streamChunkSize: chunkSize , streamRetries: 1 , ackResendTimeout: 20 , ackForgetTimeout: 100
+			} ) ,
+			incomingStreams = getIncomingStreams( server ) ,
+			chunks = createChunks( 5 ) ,
+			// The first send and its only retry
+			lost = loseChunk( client , chunks[ 2 ] , 2 ) ,
+			sent = client.sendStream( to , Readable.from( chunks ) ) ;
+
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( await readAll( incomingStreams[ 0 ] ) ).to.equal( Buffer.concat( chunks ) ) ;
+		expect( ( await sent ).chunks ).to.be( 5 ) ;
+		expect( lost() ).to.be( 2 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should fail both sides when the checksum of the whole transfer doesn't match" , async () => {
+		var { server , client , to } = await createPair( null , { streamChunkSize: chunkSize } ) ,
+			incomingStreams = getIncomingStreams( server ) ,
+			chunks = createChunks( 3 ) ,
+			corrupt = buffer => { buffer = Buffer.from( buffer ) ; buffer[ buffer.length - 1 ] ^= 1 ; return buffer ; } ;
+
+		// Without the packet checksum, nothing else notices it
+		loseChunk( client , chunks[ 1 ] , 1 , corrupt ) ;
+
+		var sent = client.sendStream( to , Readable.from( chunks ) ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		await expect( readAll( incomingStreams[ 0 ] ) ).to.reject.with.an( Error , { code: 'checksum' } ) ;
+		await expect( sent ).to.reject.with.an( Error , { code: 'aborted' , reason: 'checksum' } ) ;
+		expect( server.incomingStreams.size ).to.be( 0 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should abort the other side when the consumer cancels or the source fails" , async () => {
+		var { server , client , to } = await createPair( null , { streamChunkSize: chunkSize , streamWindow: 2 } ) ,
+			incomingStreams = getIncomingStreams( server ) ;
+
+		// Cancelled by the consumer
+		var sent = client.sendStream( to , Readable.from( createChunks( 10 ) ) ) ;
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		incomingStreams[ 0 ].destroy() ;
+		await expect( sent ).to.reject.with.an( Error , { code: 'aborted' , reason: 'cancelled' } ) ;
+
+		// The source failed
+		var source = Readable.from( ( async function*() {
+			yield crypto.randomBytes( chunkSize ) ;
+			await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+			throw new Error( "Source failed" ) ;
+		} )() ) ;
+
+		sent = client.sendStream( to , source ) ;
+		await new Promise( resolve => setTimeout( resolve , 10 ) ) ;
+		var read = readAll( incomingStreams[ 1 ] ) ;
+		await expect( sent ).to.reject.with.an( Error , { message: "Source failed" } ) ;
+		await expect( read ).to.reject.with.an( Error , { code: 'aborted' , reason: 'error' } ) ;
+
+		expect( server.incomingStreams.size ).to.be( 0 ) ;
+		expect( client.outgoingStreams.size ).to.be( 0 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+
+	it( "should abort an incoming stream that its consumer doesn't read, freeing its slot" , async () => {
+		var { server , client , to } = await createPair( { maxIncomingStreams: 1 , streamIdleTimeout: 100 } , { streamChunkSize: chunkSize } ) ,
+			incomingStreams = getIncomingStreams( server ) ,
+			chunks = createChunks( 3 ) ;
+
+		// Not read, not even listened for errors
+		var sent = client.sendStream( to , Readable.from( chunks ) ) ;
+		await new Promise( resolve => setTimeout( resolve , 50 ) ) ;
+		expect( server.incomingStreams.size ).to.be( 1 ) ;
+		await expect( client.sendStream( to , Readable.from( chunks ) ) ).to.reject.with.an( Error , { code: 'aborted' , reason: 'refused' } ) ;
+
+		await expect( sent ).to.reject.with.an( Error , { code: 'aborted' , reason: 'timeout' } ) ;
+		expect( incomingStreams[ 0 ].destroyed ).to.be( true ) ;
+		expect( server.incomingStreams.size ).to.be( 0 ) ;
+
+		// Read this time
+		server.on( 'stream' , stream => stream.resume() ) ;
+		expect( ( await client.sendStream( to , Readable.from( chunks ) ) ).chunks ).to.be( 3 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Starting" , () => {
+
+	it( "should be startable again after failing to bind, and emit 'error' from .startServer()" , async () => {
+		var first = new uniProtocol() ,
+			second = new uniProtocol() ,
+			port = ( await first.start( { address: localhost } ) ).port ;
+
+		await expect( second.start( { address: localhost , port } ) ).to.reject.with.an( Error , { code: 'EADDRINUSE' } ) ;
+		expect( second.socket ).to.be( null ) ;
+		expect( second.startPromise ).to.be( null ) ;
+
+		var emitted = new Promise( resolve => second.once( 'error' , resolve ) ) ;
+		second.startServer() ;
+		expect( ( await emitted ).code ).to.be( 'EADDRINUSE' ) ;
+
+		await first.close() ;
+		expect( ( await second.start() ).port ).to.be( port ) ;
+		await second.close() ;
+	} ) ;
+} ) ;
+
+
+
+describe( "Closing" , () => {
+
+	it( "should reject queued sends" , async () => {
+		// The first message empties the bandwidth bucket, so the second one waits in the send queue
+		var { server , client , to } = await createPair( null , { maxBandwidth: 1000 } ) ;
+
+		client.sendCommand( to , 'data' , crypto.randomBytes( 9000 ) ) ;
+
+		var queued = client.sendCommand( to , 'data' , 'queued' ).catch( error => error.code ) ;
+
+		await new Promise( resolve => setTimeout( resolve , 20 ) ) ;
+		expect( client.sendQueue.length ).not.to.be( 0 ) ;
+		await Promise.all( [ server.close() , client.close() ] ) ;
+		expect( await queued ).to.be( 'closed' ) ;
+	} ) ;
+
+	it( "should not leave unhandled rejections when replies can't be sent because it's closed" , async () => {
+		var { server , client } = await createPair( null , { maxBandwidth: 1000 } ) ,
+			clientAddress = { address: localhost , port: client.socket.address().port , family: 'IPv4' } ,
+			unhandled = [] ,
+			consoleError = console.error ,
+			onUnhandled = error => unhandled.push( error ) ;
+
+		// Both native and seventh's unhandled rejections (the latter are only reported with console.error())
+		process.on( 'unhandledRejection' , onUnhandled ) ;
+		console.error = ( error , ... args ) => {
+			if ( String( error?.message ?? error ).includes( 'Unhandled promise rejection' ) ) { unhandled.push( error ) ; }
+			else { consoleError( error , ... args ) ; }
+		} ;
+
+		// A handshake queued behind a big message
+		client.sendCommand( { address: localhost , port: 9 } , 'data' , crypto.randomBytes( 9000 ) ).catch( () => null ) ;
+		var promise = client.openSession( { address: localhost , port: 9 } ) ;
+		await client.close() ;
+		await expect( promise ).to.reject.with.an( Error , { code: 'closed' } ) ;
+
+		// Replies once closed: session handshake, keep-alive
+		server.validatePeer( clientAddress ) ;
+		await server.close() ;
+		server.receive( clientAddress , client.createMessage( 's' , 'open' , 1 ).encode()[ 0 ] ) ;
+		server.receive( clientAddress , client.createMessage( 'k' , 'ping' , 2 ).encode()[ 0 ] ) ;
+		await new Promise( resolve => setTimeout( resolve , 50 ) ) ;
+
+		process.off( 'unhandledRejection' , onUnhandled ) ;
+		console.error = consoleError ;
+		expect( unhandled ).to.equal( [] ) ;
+	} ) ;
+} ) ;